@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+import { formatAge } from '../scripts/active-session-core.js';
+import {
+  buildStatusModel,
+  clampPercent,
+  formatResetTime,
+  formatUsd,
+  pickColorByPercent,
+  pickLevelByPercent,
+  pickLevelColor,
+  pickStatusColor,
+} from '../scripts/status.js';
+import { renderSparkline } from '../scripts/limits-series.js';
+
+const FORMATS = ['waybar', 'polybar', 'i3blocks'];
+
+function parseArgs(argv) {
+  const config = { format: null };
+  for (const arg of argv) {
+    if (FORMATS.includes(arg)) config.format = arg;
+    else if (arg.startsWith('--format=')) config.format = arg.split('=')[1];
+  }
+  return config;
+}
+
+function maxPercent(model) {
+  const values = [model.limits.fiveHour.percent, model.limits.sevenDay.percent].filter(
+    (value) => clampPercent(value) !== null
+  );
+  return values.length ? Math.max(...values) : null;
+}
+
+// Limit states override the utilization colour so "Cached"/"Unknown" stand out like in the menu.
+function pickHeaderColor(model) {
+  const state = model.header.state;
+  if (state === 'Unknown' || state === 'Cached' || state === 'Limit') return pickStatusColor(state);
+  return pickColorByPercent(maxPercent(model));
+}
+
+function buildLimitLines(limits) {
+  if (limits.state === 'unknown') return ['Limits: n/a'];
+  const lines = [
+    `5h limit: ${Math.round(limits.fiveHour.percent ?? 0)}% (resets ${formatResetTime(limits.fiveHour.resetsAt)})`,
+    `7d limit: ${Math.round(limits.sevenDay.percent ?? 0)}% (resets ${formatResetTime(limits.sevenDay.resetsAt)})`,
+  ];
+  for (const [label, series] of [
+    ['5h window', limits.trend?.fiveHour],
+    ['7d history', limits.trend?.sevenDay],
+  ]) {
+    if (series?.values.some((value) => value !== null)) {
+      lines.push(`${label}: ${renderSparkline(series.values)}`);
+    }
+  }
+  if (limits.stale) lines.push(`Limits cached (${limits.ageMinutes}m ago)`);
+  return lines;
+}
+
+function formatAuth(auth) {
+  return auth.provider ? `${auth.state} (${auth.provider})` : auth.state;
+}
+
+function buildTooltip(model) {
+  const { limits, activity, usage, auth, keepalive, daemon, profiles } = model;
+  const lines = [`Claude: ${model.header.state}`];
+  if (profiles.length) {
+    for (const profile of profiles) {
+      lines.push(`[${profile.name}] Auth: ${formatAuth(profile.auth)} · Keepalive: ${profile.keepalive.state}`);
+      lines.push(...buildLimitLines(profile.limits).map((line) => `  ${line}`));
+    }
+  } else {
+    lines.push(...buildLimitLines(limits));
+  }
+  if (usage?.ok) {
+    lines.push(`Usage today: ${formatUsd(usage.dayCost)}`);
+    lines.push(`Usage ${usage.monthKey}: ${formatUsd(usage.monthCost)}`);
+  }
+  for (const entry of model.budget.periods) {
+    lines.push(
+      `Budget ${entry.label}: ${Math.round(entry.percent)}% · ${formatUsd(entry.remainingUsd)} left of ${formatUsd(entry.budgetUsd)}`
+    );
+  }
+  const activeCount = activity.sessions.filter((session) => session.active).length;
+  lines.push(`Last activity: ${formatAge(activity.lastActivity)} · Sessions: ${activeCount} active`);
+  if (profiles.length) {
+    lines.push(`Keepalive loop ${daemon.running ? 'running' : 'not running'}`);
+  } else {
+    lines.push(`Auth: ${formatAuth(auth)}`);
+    lines.push(`Keepalive: ${keepalive.state} · loop ${daemon.running ? 'running' : 'not running'}`);
+  }
+  return lines.join('\n');
+}
+
+function renderWaybar(model) {
+  const percent = maxPercent(model);
+  const payload = {
+    text: model.header.text,
+    tooltip: buildTooltip(model),
+    class: [
+      model.header.state.toLowerCase(),
+      pickLevelByPercent(percent),
+      ...(model.header.costLevel ? [`budget-${model.header.costLevel}`] : []),
+    ],
+    percentage: percent === null ? 0 : Math.round(percent),
+  };
+  return JSON.stringify(payload);
+}
+
+function polybarColor(text, color) {
+  return `%{F${color}}${text}%{F-}`;
+}
+
+function renderPolybar(model) {
+  const { fiveHour, sevenDay } = model.limits;
+  const parts = [];
+  if (model.header.cost) {
+    const costColor = model.header.costLevel
+      ? pickLevelColor(model.header.costLevel)
+      : pickHeaderColor(model);
+    parts.push(polybarColor(model.header.cost, costColor));
+  }
+  parts.push(polybarColor(model.header.fiveHour, pickColorByPercent(fiveHour.percent)));
+  parts.push(polybarColor(model.header.sevenDay, pickColorByPercent(sevenDay.percent)));
+  return parts.join('  ');
+}
+
+function renderI3blocks(model) {
+  const shortText = [model.header.fiveHour, model.header.sevenDay].join(' ');
+  return [model.header.text, shortText, pickHeaderColor(model)].join('\n');
+}
+
+function renderError(format) {
+  if (format === 'waybar') {
+    return JSON.stringify({ text: 'Claude: Error', tooltip: 'Claude: Error', class: ['error'] });
+  }
+  if (format === 'i3blocks') return ['Claude: Error', 'Claude: Error', '#EF4444'].join('\n');
+  return polybarColor('Claude: Error', '#EF4444');
+}
+
+async function main() {
+  const config = parseArgs(process.argv.slice(2));
+  if (!FORMATS.includes(config.format)) {
+    console.error(`Usage: claude-bar.js <${FORMATS.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    const model = await buildStatusModel();
+    if (config.format === 'waybar') console.log(renderWaybar(model));
+    else if (config.format === 'polybar') console.log(renderPolybar(model));
+    else console.log(renderI3blocks(model));
+  } catch (error) {
+    if (process.env.DEBUG_MENU) {
+      console.error(error);
+    }
+    console.log(renderError(config.format));
+  }
+}
+
+main();
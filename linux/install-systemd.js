@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+import { chmodSync, existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  CONFIG_SCHEMA,
+  getProfiles,
+  loadConfig,
+  resolveNodePath,
+} from '../scripts/active-session-core.js';
+
+const UNIT = 'claude-keepalive';
+const COMMANDS = ['install', 'uninstall', 'status'];
+
+// Variables the keeper reads besides the ones in CONFIG_SCHEMA.
+const EXTRA_ENV = [
+  'CLAUDE_KEEPALIVE_CONFIG',
+  'XDG_CONFIG_HOME',
+  'HTTPS_PROXY',
+  'https_proxy',
+  'HTTP_PROXY',
+  'http_proxy',
+  'NO_PROXY',
+  'no_proxy',
+  'VERBOSE',
+  'DEBUG',
+];
+
+function parseArgs(argv) {
+  const config = { command: null, timer: false, serve: false, dryRun: false };
+  for (const arg of argv) {
+    if (COMMANDS.includes(arg)) config.command = arg;
+    else if (arg === '--timer') config.timer = true;
+    else if (arg === '--serve') config.serve = true;
+    else if (arg === '--dry-run') config.dryRun = true;
+  }
+  return config;
+}
+
+function resolveRepoRoot() {
+  if (process.env.KEEPALIVE_REPO) return path.resolve(process.env.KEEPALIVE_REPO);
+  return path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+}
+
+function getUnitDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'systemd', 'user');
+}
+
+function getEnvFilePath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'claude-keepalive', 'keeper.env');
+}
+
+function quoteEnvValue(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function buildEnvFile(settings) {
+  const names = new Set([
+    ...Object.values(CONFIG_SCHEMA)
+      .map((spec) => spec.env)
+      .filter(Boolean),
+    settings.tokenEnv,
+    ...getProfiles().map((profile) => profile.settings.tokenEnv),
+    ...EXTRA_ENV,
+  ]);
+  const passed = [...names].filter((name) => process.env[name]);
+  const pathParts = [
+    path.join(os.homedir(), '.local', 'bin'),
+    '/usr/local/bin',
+    '/usr/bin',
+    '/bin',
+    ...(process.env.PATH || '').split(':').filter(Boolean),
+  ];
+  const lines = [
+    '# Generated by linux/install-systemd.js; re-run install to refresh.',
+    `PATH=${quoteEnvValue(Array.from(new Set(pathParts)).join(':'))}`,
+    ...passed.map((name) => `${name}=${quoteEnvValue(process.env[name])}`),
+  ];
+  return { content: `${lines.join('\n')}\n`, passed };
+}
+
+function buildServiceUnit({ nodePath, repoRoot, envFile, timer, serve }) {
+  const keeper = path.join(repoRoot, 'scripts', 'active-session-keeper.js');
+  const args = timer ? ['--once'] : serve ? ['--serve'] : [];
+  const lines = [
+    '[Unit]',
+    `Description=Claude keepalive ${timer ? '(single tick)' : 'loop'}`,
+    'After=network-online.target',
+    '',
+    '[Service]',
+    ...(timer ? ['Type=oneshot'] : ['Type=simple', 'Restart=on-failure', 'RestartSec=30']),
+    `ExecStart=${[nodePath, keeper, ...args].map(quoteArg).map(escapeExecArg).join(' ')}`,
+    `WorkingDirectory=${escapeSpecifiers(repoRoot)}`,
+    `EnvironmentFile=-${escapeSpecifiers(envFile)}`,
+  ];
+  // With --timer the service is only started by the timer, so it is not enabled itself.
+  if (!timer) lines.push('', '[Install]', 'WantedBy=default.target');
+  return `${lines.join('\n')}\n`;
+}
+
+function buildTimerUnit(intervalMinutes) {
+  return `[Unit]
+Description=Run the Claude keepalive every ${intervalMinutes} minutes
+
+[Timer]
+OnBootSec=2min
+OnUnitActiveSec=${intervalMinutes}min
+Unit=${UNIT}.service
+
+[Install]
+WantedBy=timers.target
+`;
+}
+
+function quoteArg(value) {
+  return /[\s"\\]/.test(value) ? quoteEnvValue(value) : value;
+}
+
+// systemd expands %-specifiers in paths and command lines, and $VARIABLES in command lines too.
+function escapeSpecifiers(value) {
+  return value.replace(/%/g, '%%');
+}
+
+function escapeExecArg(value) {
+  return escapeSpecifiers(value).replace(/\$/g, '$$$$');
+}
+
+function systemctl(args, dryRun) {
+  if (dryRun) {
+    console.log(`DRY RUN: systemctl --user ${args.join(' ')}`);
+    return 0;
+  }
+  const result = spawnSync('systemctl', ['--user', ...args], { stdio: 'inherit' });
+  if (result.error) {
+    console.error(`Unable to run systemctl: ${result.error.message}`);
+    return 1;
+  }
+  return result.status ?? 1;
+}
+
+function writeFile(filePath, content, dryRun, mode = 0o644) {
+  if (dryRun) {
+    console.log(`DRY RUN: would write ${filePath}\n${content}`);
+    return;
+  }
+  mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  writeFileSync(filePath, content, { mode });
+  // The mode only applies when the file is created; the env file can hold tokens.
+  chmodSync(filePath, mode);
+}
+
+function install(options) {
+  const { config: settings, errors } = loadConfig();
+  for (const error of errors) {
+    console.error(`Config error: ${error}`);
+  }
+  // systemd needs an absolute path; the node running this installer is the best remaining guess.
+  const nodePath = resolveNodePath(process.execPath);
+  const repoRoot = resolveRepoRoot();
+  const unitDir = getUnitDir();
+  const envFile = getEnvFilePath();
+  const servicePath = path.join(unitDir, `${UNIT}.service`);
+  const timerPath = path.join(unitDir, `${UNIT}.timer`);
+
+  const env = buildEnvFile(settings);
+  writeFile(envFile, env.content, options.dryRun, 0o600);
+  writeFile(
+    servicePath,
+    buildServiceUnit({ nodePath, repoRoot, envFile, timer: options.timer, serve: options.serve }),
+    options.dryRun
+  );
+
+  let status;
+  if (options.timer) {
+    writeFile(timerPath, buildTimerUnit(settings.intervalMinutes), options.dryRun);
+    systemctl(['daemon-reload'], options.dryRun);
+    // A loop service left enabled by a previous install would run next to the timer.
+    systemctl(['disable', '--now', `${UNIT}.service`], options.dryRun);
+    status = systemctl(['enable', '--now', `${UNIT}.timer`], options.dryRun);
+  } else {
+    if (existsSync(timerPath)) {
+      systemctl(['disable', '--now', `${UNIT}.timer`], options.dryRun);
+      if (!options.dryRun) rmSync(timerPath, { force: true });
+    }
+    systemctl(['daemon-reload'], options.dryRun);
+    status = systemctl(['enable', '--now', `${UNIT}.service`], options.dryRun);
+  }
+  if (status === 0) {
+    console.log(`Installed ${servicePath}${options.timer ? ` and ${timerPath}` : ''}`);
+    console.log(`Environment (${envFile}): ${['PATH', ...env.passed].join(', ')}`);
+  }
+  return status;
+}
+
+function uninstall(options) {
+  const unitDir = getUnitDir();
+  systemctl(['disable', '--now', `${UNIT}.timer`, `${UNIT}.service`], options.dryRun);
+  for (const filePath of [
+    path.join(unitDir, `${UNIT}.timer`),
+    path.join(unitDir, `${UNIT}.service`),
+    getEnvFilePath(),
+  ]) {
+    if (options.dryRun) console.log(`DRY RUN: would remove ${filePath}`);
+    else rmSync(filePath, { force: true });
+  }
+  const status = systemctl(['daemon-reload'], options.dryRun);
+  if (status === 0) console.log(`Removed the ${UNIT} user units.`);
+  return status;
+}
+
+function status(options) {
+  const timerPath = path.join(getUnitDir(), `${UNIT}.timer`);
+  const units = existsSync(timerPath)
+    ? [`${UNIT}.timer`, `${UNIT}.service`]
+    : [`${UNIT}.service`];
+  systemctl(['status', '--no-pager', ...units], options.dryRun);
+  const keeper = path.join(resolveRepoRoot(), 'scripts', 'active-session-keeper.js');
+  const result = spawnSync(process.execPath, [keeper, '--status'], { stdio: 'inherit' });
+  return result.status ?? 1;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.command) {
+    console.error(
+      'Usage: install-systemd.js <install [--timer] [--serve] | uninstall | status> [--dry-run]'
+    );
+    process.exit(1);
+  }
+  if (process.platform !== 'linux') {
+    console.error('systemd user units are Linux-only; use macos/install-launchagent.sh on macOS.');
+    process.exit(1);
+  }
+  const handlers = { install, uninstall, status };
+  process.exit(handlers[options.command](options));
+}
+
+main();
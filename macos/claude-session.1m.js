@@ -1,53 +1,30 @@
 #!/usr/bin/env node
 
+import { loadConfig, formatAge, resolveNodePath } from '../scripts/active-session-core.js';
 import {
-  DEFAULTS,
-  getLatestActivityTimestamp,
-  getLatestActivityCwd,
-  getSessionStartTimestamp,
-  fetchUsageLimits,
-  fetchExtraUsageStatus,
-  limitOk,
-  readState,
-  formatAge,
-} from '../scripts/active-session-core.js';
-import { updateUsageHistory } from '../scripts/usage-history.js';
+  buildStatusModel,
+  clampPercent,
+  formatResetTime,
+  formatUsd,
+  pickColorByPercent,
+  pickLevelColor,
+  pickStatusColor,
+} from '../scripts/status.js';
+import { recordBudgetCrossings } from '../scripts/budget.js';
+import { EVENT_LOG_PATH } from '../scripts/event-log.js';
+import { renderSparkline } from '../scripts/limits-series.js';
 import { existsSync, mkdirSync, readFileSync, realpathSync, statSync, writeFileSync } from 'fs';
 import { spawnSync } from 'child_process';
 import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-function getConfigFromEnv() {
-  const toNumber = (value, fallback) => {
-    const parsed = Number(value);
-    return Number.isFinite(parsed) ? parsed : fallback;
-  };
-
-  return {
-    activeMinutes: toNumber(process.env.ACTIVE_MINUTES, DEFAULTS.activeMinutes),
-    maxDepth: toNumber(process.env.MAX_DEPTH, DEFAULTS.maxDepth),
-    tailBytes: toNumber(process.env.TAIL_BYTES, DEFAULTS.tailBytes),
-    transcriptPath: process.env.TRANSCRIPT_PATH || null,
-  };
-}
-
 function menuLine(text) {
   console.log(text);
 }
 
-function resolveNodePath() {
-  const envNode = process.env.KEEPALIVE_NODE || process.env.NODE_PATH;
-  if (envNode && existsSync(envNode)) return envNode;
-  const candidates = ['/opt/homebrew/bin/node', '/usr/local/bin/node', '/usr/bin/node'];
-  for (const candidate of candidates) {
-    if (existsSync(candidate)) return candidate;
-  }
-  return 'node';
-}
-
-function resolveClaudeCliPath() {
-  const envCmd = process.env.CLAUDE_CMD;
+function resolveClaudeCliPath(config) {
+  const envCmd = config.claudeCommand;
   if (envCmd && envCmd.includes('/') && existsSync(envCmd)) return envCmd;
   const candidates = [
     path.join(process.env.HOME || '', '.local', 'bin', 'claude'),
@@ -66,12 +43,12 @@ function shellEscape(value) {
   return `'${value.replace(/'/g, `'\"'\"'`)}'`;
 }
 
-function resolveClaudeAppOpenArgs() {
+function resolveClaudeAppOpenArgs(config) {
   const envPath = process.env.CLAUDE_APP_PATH;
   if (envPath && existsSync(envPath)) {
     return ['/usr/bin/open', [envPath]];
   }
-  const envApp = process.env.CLAUDE_APP || 'Claude Code';
+  const envApp = config.claudeApp || 'Claude Code';
   const candidates = [
     '/Applications/Claude Code.app',
     '/Applications/Claude.app',
@@ -86,35 +63,6 @@ function resolveClaudeAppOpenArgs() {
   return ['/usr/bin/open', ['-a', envApp]];
 }
 
-function pickColorByPercent(percent) {
-  const clamped = clampPercent(percent);
-  if (clamped === null) return '#9CA3AF'; // gray
-  if (clamped >= 90) return '#EF4444'; // red
-  if (clamped >= 70) return '#F59E0B'; // amber
-  return '#10B981'; // emerald
-}
-
-function pickStatusColor(state) {
-  switch (state) {
-    case 'Unknown':
-      return '#EF4444';
-    case 'Cached':
-      return '#F59E0B';
-    case 'Limit':
-      return '#EF4444';
-    case 'Active':
-      return '#10B981';
-    case 'Idle':
-    default:
-      return '#9CA3AF';
-  }
-}
-
-function clampPercent(value) {
-  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
-  return Math.max(0, Math.min(100, value));
-}
-
 function progressBar(percent, width = 10) {
   const clamped = clampPercent(percent);
   if (clamped === null) return 'n/a';
@@ -145,26 +93,6 @@ function getMenuIconBase64(iconPath, size = 16) {
   }
 }
 
-function formatResetTime(value) {
-  if (!value) return 'unknown';
-  const ts = new Date(value).getTime();
-  if (Number.isNaN(ts)) return 'unknown';
-  const deltaMs = ts - Date.now();
-  const totalMinutes = Math.max(0, Math.ceil(deltaMs / 60000));
-  if (totalMinutes === 0) return 'now';
-  if (totalMinutes < 60) return `${totalMinutes}m`;
-  if (totalMinutes < 1440) {
-    const hours = Math.floor(totalMinutes / 60);
-    const minutes = totalMinutes % 60;
-    return `${hours}h ${minutes}m`;
-  }
-  const days = Math.floor(totalMinutes / 1440);
-  const remainder = totalMinutes % 1440;
-  const hours = Math.floor(remainder / 60);
-  const minutes = remainder % 60;
-  return `${days}d ${hours}h ${minutes}m`;
-}
-
 function formatResetTimeWithClock(value) {
   if (!value) return 'unknown';
   const ts = new Date(value);
@@ -191,9 +119,65 @@ function formatHistory(history, lastLaunch, maxItems = 3) {
   return items.map((ts) => formatAge(ts)).join(', ');
 }
 
-function formatUsd(value) {
-  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
-  return `$${value.toFixed(2)}`;
+function formatScheduleLine(schedule) {
+  if (schedule.allowed) return 'Schedule: hellos allowed now | color=#10B981';
+  const reason = schedule.reason === 'skip-date' ? 'skip date' : 'outside hours';
+  if (!schedule.nextEligibleAt) return `Schedule: ${reason} · no window in the next week | color=#F59E0B`;
+  const next = new Date(schedule.nextEligibleAt).toLocaleString([], {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return `Schedule: ${reason} · next hello ${next} | color=#F59E0B`;
+}
+
+function formatPlanLine(plan) {
+  if (!plan.plannedHelloAt) return 'Planned hello: none in the next days | color=#9CA3AF';
+  const clock = (value) =>
+    new Date(value).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  const when = plan.due ? 'due now' : clock(plan.plannedHelloAt);
+  return `Planned hello: ${when} → resets ${clock(plan.expectedResetAt)} | color=#93C5FD`;
+}
+
+const HELLO_STATUS_COLORS = {
+  confirmed: '#A7F3D0',
+  unconfirmed: '#F59E0B',
+  failed: '#EF4444',
+};
+
+function formatHelloResultLine(result) {
+  const status = result.status || 'sent';
+  const details = [result.strategy];
+  if (typeof result.durationMs === 'number') details.push(`${(result.durationMs / 1000).toFixed(1)}s`);
+  const color = HELLO_STATUS_COLORS[status] || '#A7F3D0';
+  const line = `Last hello result: ${status} (${details.join(', ')}) · ${formatAge(result.at)} ago`;
+  if (status !== 'failed') return `${line} | color=${color}`;
+  // SwiftBar treats "|" as the start of line parameters.
+  const reason = (result.error || 'failed').split('\n')[0].replace(/\|/g, '/');
+  return `${line} · ${reason} | color=${color}`;
+}
+
+function formatDaemonLine(daemon) {
+  if (!daemon.running) return 'Keeper loop: not running | color=#F97316';
+  const parts = [`pid ${daemon.pid}`, `up ${formatAge(daemon.startedAt)}`];
+  if (daemon.nextTickAt) parts.push(`next tick ${formatResetTime(daemon.nextTickAt)}`);
+  return `Keeper loop: running (${parts.join(', ')}) | color=#94A3B8`;
+}
+
+function formatSessionLabel(session) {
+  const shortId = session.sessionId ? session.sessionId.slice(0, 8) : 'unknown';
+  if (!session.cwd) return shortId;
+  return `${path.basename(session.cwd)} (${shortId})`;
+}
+
+function formatAuthState(auth) {
+  if (auth.provider) {
+    const label = auth.state === 'token_expired' ? 'Token Expired' : 'OK';
+    return `${label} (${auth.provider})`;
+  }
+  if (!auth.attempts.length) return 'Missing';
+  const reasons = auth.attempts.map((attempt) => `${attempt.provider}: ${attempt.reason}`).join(', ');
+  return `Missing (${reasons})`;
 }
 
 function formatExtraUsage(info) {
@@ -210,9 +194,233 @@ function formatExtraUsage(info) {
   return { label, color };
 }
 
+function menuCommand(args) {
+  const params = args.slice(1).map((arg, index) => `param${index + 1}=${arg}`);
+  return [`bash=${args[0]}`, ...params].join(' ');
+}
+
+function formatKeepaliveState(keepalive, daemon) {
+  if (keepalive.state === 'stopped') return 'Stopped';
+  if (keepalive.state === 'paused') return 'Paused';
+  return daemon.running ? 'On' : 'Not running';
+}
+
+function renderHealthLine(account, daemon, prefix = '') {
+  const { keepalive, limits } = account;
+  const authState = formatAuthState(account.auth);
+  let limitsState = limits.state === 'live' ? 'Live' : 'Unknown';
+  if (limits.stale) limitsState = 'Cached';
+  const helloFlag = keepalive.recentFailure ? ` · Hello ${keepalive.lastResult.status}` : '';
+  const keepaliveState = formatKeepaliveState(keepalive, daemon);
+  menuLine(
+    `${prefix}Health: Auth ${authState} · Limits ${limitsState} · Keepalive ${keepaliveState}${helloFlag} | color=${
+      keepalive.recentFailure ? '#F97316' : '#94A3B8'
+    }`
+  );
+}
+
+function renderLimitLines(limits, prefix = '') {
+  if (limits.state === 'unknown') {
+    menuLine(`${prefix}5h limit: n/a | color=#9CA3AF`);
+    menuLine(`${prefix}7d limit: n/a | color=#9CA3AF`);
+    return;
+  }
+  const { fiveHour, sevenDay } = limits;
+  menuLine(
+    `${prefix}5h limit: ${progressBar(fiveHour.utilization)} (${fiveHour.ok ? 'ok' : 'full'}) | color=${pickColorByPercent(
+      fiveHour.utilization
+    )} font=Menlo`
+  );
+  menuLine(`${prefix}5h resets: ${formatResetTimeWithClock(fiveHour.resetsAt)} | color=#93C5FD`);
+  menuLine(
+    `${prefix}7d limit: ${progressBar(sevenDay.utilization)} (${sevenDay.ok ? 'ok' : 'full'}) | color=${pickColorByPercent(
+      sevenDay.utilization
+    )} font=Menlo`
+  );
+  menuLine(`${prefix}7d resets: ${formatResetTimeWithClock(sevenDay.resetsAt)} | color=#93C5FD`);
+  renderTrendLine('5h window', limits.trend?.fiveHour, prefix);
+  renderTrendLine('7d history', limits.trend?.sevenDay, prefix);
+}
+
+function renderTrendLine(label, series, prefix) {
+  if (!series?.values.some((value) => value !== null)) return;
+  menuLine(`${prefix}${label}: ${renderSparkline(series.values)} | color=#94A3B8 font=Menlo`);
+}
+
+function renderHelloLines(account, prefix = '') {
+  const { keepalive } = account;
+  if (keepalive.lastLaunch) {
+    menuLine(`${prefix}Last hello: ${formatAge(keepalive.lastLaunch)} ago | color=#A7F3D0`);
+  } else {
+    menuLine(`${prefix}Last hello: never | color=#A7F3D0`);
+  }
+  menuLine(
+    `${prefix}Hello history: ${formatHistory(keepalive.history, keepalive.lastLaunch)} | color=#A7F3D0`
+  );
+  if (keepalive.lastResult && !keepalive.lastResult.dryRun) {
+    menuLine(`${prefix}${formatHelloResultLine(keepalive.lastResult)}`);
+  }
+  if (account.schedule.configured) {
+    menuLine(`${prefix}${formatScheduleLine(account.schedule)}`);
+  }
+  if (account.plan.configured) {
+    menuLine(`${prefix}${formatPlanLine(account.plan)}`);
+  }
+}
+
+function renderHelloActions(account, keeper, prefix = '') {
+  if (!keeper) {
+    menuLine(`${prefix}Send hello now (set KEEPALIVE_PATH) | disabled=true`);
+    return;
+  }
+  const profileArgs = account.name ? [`--profile=${account.name}`] : [];
+  const onceArgs = [
+    `--active-minutes=${keeper.activeMinutes}`,
+    '--cooldown-minutes=0',
+    ...profileArgs,
+  ];
+  if (account.limits.ok) {
+    const runOnceArgs = [
+      ...keeper.command,
+      '--once',
+      '--ignore-utilization',
+      '--ignore-schedule',
+      ...onceArgs,
+    ];
+    menuLine(
+      `${prefix}Send hello now | color=#22C55E ${menuCommand(runOnceArgs)} terminal=false refresh=true`
+    );
+    return;
+  }
+  menuLine(`${prefix}Send hello now (limits full) | disabled=true`);
+  const forceOnceArgs = [...keeper.command, '--once', '--force', ...onceArgs];
+  menuLine(
+    `${prefix}Send hello anyway | color=#F97316 ${menuCommand(forceOnceArgs)} terminal=false refresh=true`
+  );
+}
+
+function renderKeepaliveActions(keeper, profileName = null, prefix = '') {
+  if (!keeper) return;
+  const profileArgs = profileName ? [`--profile=${profileName}`] : [];
+  const actions = [
+    ['Pause keepalive 30m', '#F59E0B', '--pause-minutes=30'],
+    ['Stop keepalive', '#EF4444', '--stop'],
+    ['Resume keepalive', '#60A5FA', '--resume'],
+  ];
+  for (const [label, color, flag] of actions) {
+    const args = [...keeper.command, flag, ...profileArgs];
+    menuLine(`${prefix}${label} | color=${color} ${menuCommand(args)} terminal=false refresh=true`);
+  }
+}
+
+// One compact line per profile; its limits, hellos and actions live in the profile's submenu.
+function renderProfile(profile, daemon, keeper) {
+  const short = (limit) => (limit.percent === null ? 'n/a' : `${Math.round(limit.percent)}%`);
+  const { keepalive, limits } = profile;
+  const flag = keepalive.recentFailure ? ` · Hello ${keepalive.lastResult.status}` : '';
+  menuLine(
+    `${profile.name}: 5h ${short(limits.fiveHour)} · 7d ${short(limits.sevenDay)} · Keepalive ${formatKeepaliveState(
+      keepalive,
+      daemon
+    )}${flag} | color=${pickStatusColor(profile.header.state)}`
+  );
+  renderHealthLine(profile, daemon, '--');
+  const extraUsage = formatExtraUsage(profile.extraUsage);
+  menuLine(`--Extra usage: ${extraUsage.label} | color=${extraUsage.color}`);
+  if (limits.stale) {
+    menuLine(`--Limits: cached (${formatAgeFromMinutes(limits.ageMinutes)} ago) | color=#F59E0B`);
+  }
+  if (profile.auth.state === 'token_expired') {
+    menuLine('--Auth: token expired (log in with this profile) | color=#F97316');
+  }
+  renderLimitLines(limits, '--');
+  renderHelloLines(profile, '--');
+  menuLine('-----');
+  renderHelloActions(profile, keeper, '--');
+  renderKeepaliveActions(keeper, profile.name, '--');
+}
+
+function formatTokens(value) {
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+  return String(value);
+}
+
+// Cost line with one submenu row per model; models without pricing are named instead of counted in.
+function renderUsageLine(label, cost, models = {}, options = {}) {
+  const rows = Object.entries(models).sort(([, a], [, b]) => (b.cost ?? -1) - (a.cost ?? -1));
+  const unpriced = rows.filter(([, entry]) => entry.cost === null).length;
+  const note = unpriced ? ` (${unpriced} model${unpriced === 1 ? '' : 's'} unpriced)` : '';
+  const projection = options.forecast ? ` (→ ${formatUsd(options.forecast.projected)})` : '';
+  menuLine(
+    `${label}: ${formatUsd(cost)}${projection}${note} | color=${unpriced ? '#F59E0B' : '#10B981'}`
+  );
+  if (options.forecast) {
+    const { low, high, method, sampleDays } = options.forecast;
+    const basis = method === 'weekday' ? 'weekday averages' : 'daily average';
+    menuLine(
+      `--Month-end forecast: ${formatUsd(low)}–${formatUsd(high)} (${basis}, ${sampleDays}d) | color=#93C5FD`
+    );
+    if (rows.length) menuLine('-----');
+  }
+  for (const [model, entry] of rows) {
+    const tokens = [
+      `in ${formatTokens(entry.input)}`,
+      `out ${formatTokens(entry.output)}`,
+      `cache read ${formatTokens(entry.cacheRead)}`,
+      `cache write ${formatTokens(entry.cacheWrite)}`,
+    ].join(' · ');
+    const price = entry.cost === null ? 'pricing missing' : formatUsd(entry.cost);
+    menuLine(
+      `--${model}: ${price} · ${tokens} | color=${entry.cost === null ? '#F59E0B' : '#CBD5F5'}`
+    );
+  }
+}
+
+function renderProjectUsage(usage, breakdownCommand) {
+  if (!usage.monthProjects?.length) return;
+  menuLine(`Usage by project (${usage.monthKey}) | color=#CBD5F5`);
+  for (const row of usage.monthProjects) {
+    // Transcript folder names (the fallback project) start with "-", which SwiftBar reads as nesting.
+    const name = path.basename(row.project).replace(/^-+/, '').replace(/\|/g, '/');
+    menuLine(`--${name}: ${formatUsd(row.cost)} | color=#10B981`);
+  }
+  const hidden = usage.monthProjectCount - usage.monthProjects.length;
+  if (hidden > 0) menuLine(`--and ${hidden} more | color=#9CA3AF`);
+  menuLine('-----');
+  menuLine(`--Full breakdown | color=#60A5FA ${menuCommand(breakdownCommand)} terminal=true`);
+}
+
+const ANSI_LEVEL_CODES = { ok: 32, warning: 33, critical: 31 };
+
+// With budgets the title's cost carries the budget colour; SwiftBar only colours part of a
+// line through ANSI codes.
+function colorTitleCost(text, header) {
+  if (!header.costLevel || !header.cost) return { text, params: '' };
+  const colored = `\x1b[${ANSI_LEVEL_CODES[header.costLevel]}m${header.cost}\x1b[0m`;
+  return { text: text.replace(header.cost, colored), params: ' ansi=true' };
+}
+
+function renderBudgetLines(budget) {
+  for (const entry of budget.periods) {
+    const budgetText = formatUsd(entry.budgetUsd);
+    const left =
+      entry.spentUsd > entry.budgetUsd
+        ? `${formatUsd(entry.spentUsd - entry.budgetUsd)} over the ${budgetText} budget`
+        : `${formatUsd(entry.remainingUsd)} left of ${budgetText}`;
+    menuLine(
+      `Budget ${entry.label}: ${progressBar(entry.percent)} · ${left} | color=${pickLevelColor(
+        entry.level
+      )} font=Menlo`
+    );
+  }
+}
+
 function ensureLogFile(filePath) {
   if (existsSync(filePath)) return;
   try {
+    mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
     writeFileSync(filePath, '', { mode: 0o600 });
   } catch {
     // ignore
@@ -220,28 +428,15 @@ function ensureLogFile(filePath) {
 }
 
 async function main() {
-  const config = getConfigFromEnv();
-  const lastActivity = await getLatestActivityTimestamp(config);
-  const lastCwd = await getLatestActivityCwd(config);
-  const sessionStart = await getSessionStartTimestamp(config);
-  const limitsInfo = await fetchUsageLimits({
-    allowStale: true,
-    allowCache: true,
-    maxAgeMinutes: 360,
-  });
-  let usageSummary = null;
+  const { config, errors: configErrors, configPath } = loadConfig();
+  const status = await buildStatusModel({ config, configErrors, configPath });
   try {
-    usageSummary = await updateUsageHistory();
+    await recordBudgetCrossings(status.budget, config);
   } catch {
-    usageSummary = null;
+    // ignore: announced on a later refresh
   }
-  const extraUsageInfo = await fetchExtraUsageStatus({
-    allowStale: true,
-    allowCache: true,
-    maxAgeMinutes: 360,
-  });
-  const limits = limitsInfo?.limits ?? null;
-  const state = await readState();
+  const { activity, limits, usage: usageSummary } = status;
+  const { lastActivity, lastCwd, sessionStart, sessions } = activity;
   const scriptPath = fileURLToPath(import.meta.url);
   let resolvedScriptPath = scriptPath;
   try {
@@ -260,106 +455,98 @@ async function main() {
     const candidate = path.join(repoRoot, 'scripts', 'active-session-keeper.js');
     if (existsSync(candidate)) keeperPath = candidate;
   }
-  const now = Date.now();
-  const activeWindowMs = config.activeMinutes * 60 * 1000;
-  const isActive = !!(lastActivity && now - lastActivity <= activeWindowMs);
-
-  const fiveUtil = limits?.five_hour?.utilization;
-  const fiveClamped = clampPercent(fiveUtil);
-  const fiveResetTitle = limits?.five_hour?.resets_at;
-  const sevenUtil = limits?.seven_day?.utilization;
-  const sevenClamped = clampPercent(sevenUtil);
-  const sevenResetTitle = limits?.seven_day?.resets_at;
-  const fiveFull = !!(
-    limits &&
-    typeof limits.five_hour?.utilization === 'number' &&
-    Number.isFinite(limits.five_hour.utilization) &&
-    limits.five_hour.utilization >= 100
-  );
-  const sevenFull = !!(
-    limits &&
-    typeof limits.seven_day?.utilization === 'number' &&
-    Number.isFinite(limits.seven_day.utilization) &&
-    limits.seven_day.utilization >= 100
-  );
-  let headerState = 'Idle';
-  if (!limits) headerState = limitsInfo?.stale ? 'Cached' : 'Unknown';
-  else if (fiveFull || sevenFull) headerState = 'Limit';
-  else if (limitsInfo?.stale) headerState = 'Cached';
-  else if (isActive) headerState = 'Active';
-  const limitsOk =
-    limits && limitOk(limits.five_hour) && limitOk(limits.seven_day);
-  const statusColor = pickStatusColor(headerState);
-  const fiveText = fiveFull
-    ? `5h: ${formatResetTime(fiveResetTitle)}`
-    : fiveClamped === null
-    ? '5h: n/a'
-    : `5h: ${Math.round(fiveClamped)}%`;
-  const sevenText = sevenFull
-    ? `7d: ${formatResetTime(sevenResetTitle)}`
-    : sevenClamped === null
-    ? '7d: n/a'
-    : `7d: ${Math.round(sevenClamped)}%`;
-  let titleUsage = null;
-  if (usageSummary?.ok && Number.isFinite(usageSummary.dayCost)) {
-    titleUsage = formatUsd(usageSummary.dayCost);
-  }
+  const isActive = activity.active;
+  const statusColor = pickStatusColor(status.header.state);
   const iconPath = path.join(repoRoot, 'images', 'icon.png');
   let iconSuffix = '';
   if (existsSync(iconPath)) {
     const iconBase64 = getMenuIconBase64(iconPath, 16);
     if (iconBase64) iconSuffix = ` image=${iconBase64}`;
   }
-  const titleParts = [titleUsage || null, fiveText, sevenText].filter(Boolean);
-  const baseTitle = titleParts.length ? titleParts.join('  ') : 'Claude';
-  const titleText = iconSuffix ? `  ${baseTitle}` : baseTitle;
-  menuLine(`${titleText} | color=${statusColor} font=SF Pro Text size=12${iconSuffix}`);
+  const title = colorTitleCost(status.header.text, status.header);
+  const titleText = iconSuffix ? `  ${title.text}` : title.text;
+  menuLine(
+    `${titleText} | color=${statusColor} font=SF Pro Text size=12${title.params}${iconSuffix}`
+  );
   menuLine('---');
-  const keepaliveState = state?.pauseUntil && Date.now() < state.pauseUntil
-    ? 'Paused'
-    : 'On';
-  const authState = limitsInfo?.errorCode === 'token_expired' ? 'Token Expired' : 'OK';
-  const limitsState = limitsInfo?.stale ? 'Cached' : limits ? 'Live' : 'Unknown';
-  menuLine(`Health: Auth ${authState} · Limits ${limitsState} · Keepalive ${keepaliveState} | color=#94A3B8`);
-  const extraUsage = formatExtraUsage(extraUsageInfo);
-  menuLine(`Extra usage: ${extraUsage.label} | color=${extraUsage.color}`);
+  const profiles = status.profiles;
+  const keeper = keeperPath
+    ? { command: [resolveNodePath(), keeperPath], activeMinutes: config.activeMinutes }
+    : null;
+  if (profiles.length) {
+    for (const profile of profiles) {
+      renderProfile(profile, status.daemon, keeper);
+    }
+  } else {
+    renderHealthLine(status, status.daemon);
+  }
+  if (configErrors.length) {
+    menuLine(`Config: ${configErrors.length} error(s) | color=#F97316`);
+    for (const error of configErrors) {
+      menuLine(`--${error} | color=#F97316`);
+    }
+    menuLine(
+      `--Open config file | color=#60A5FA bash=/usr/bin/open param1=${configPath} terminal=false`
+    );
+  }
+  if (!profiles.length) {
+    const extraUsage = formatExtraUsage(status.extraUsage);
+    menuLine(`Extra usage: ${extraUsage.label} | color=${extraUsage.color}`);
+  }
   menuLine(`Status: ${isActive ? 'Active' : 'Idle'} | color=${statusColor}`);
   menuLine(
     `Session start: ${formatAge(sessionStart)}   ·   Last activity: ${formatAge(
       lastActivity
     )} | color=#CBD5F5`
   );
-  if (limitsInfo?.stale) {
+  if (sessions.length) {
+    const activeCount = sessions.filter((session) => session.active).length;
     menuLine(
-      `Limits: cached (${formatAgeFromMinutes(limitsInfo.ageMinutes)} ago) | color=#F59E0B`
+      `Sessions: ${activeCount} active · ${sessions.length} in last ${formatAgeFromMinutes(
+        activity.sessionWindowMinutes
+      )} | color=#CBD5F5`
     );
+    for (const session of sessions) {
+      menuLine(
+        `--${formatSessionLabel(session)} · started ${formatAge(session.startedAt)} ago · last ${formatAge(
+          session.lastActivity
+        )} | color=${session.active ? '#10B981' : '#9CA3AF'}`
+      );
+    }
+  } else {
+    menuLine('Sessions: none | color=#9CA3AF');
   }
-  if (limitsInfo?.errorCode === 'token_expired') {
+  if (!profiles.length && limits.stale) {
+    menuLine(
+      `Limits: cached (${formatAgeFromMinutes(limits.ageMinutes)} ago) | color=#F59E0B`
+    );
+  }
+  if (!profiles.length && status.auth.state === 'token_expired') {
     menuLine('Auth: token expired (open Claude Code) | color=#F97316');
   }
 
   if (usageSummary?.ok) {
-    const missingPricing = usageSummary.missingPricing?.length > 0;
-    const pricingLoaded = usageSummary.pricingLoaded;
-    const usageColor = missingPricing ? '#F59E0B' : '#10B981';
-    if (!pricingLoaded) {
+    if (!usageSummary.pricingLoaded) {
       menuLine('Usage: set pricing | color=#F59E0B');
     } else {
-      const note = missingPricing ? ' (pricing missing)' : '';
-      menuLine(
-        `Usage today: ${formatUsd(usageSummary.dayCost)}${note} | color=${usageColor}`
-      );
-      menuLine(
-        `Usage 3d: ${formatUsd(usageSummary.last3Cost)}${note} | color=${usageColor}`
-      );
-      menuLine(
-        `Usage ${usageSummary.monthKey}: ${formatUsd(usageSummary.monthCost)}${note} | color=${usageColor}`
+      renderUsageLine('Usage today', usageSummary.dayCost, usageSummary.dayModels);
+      renderUsageLine('Usage 3d', usageSummary.last3Cost, usageSummary.last3Models);
+      renderUsageLine(
+        `Usage ${usageSummary.monthKey}`,
+        usageSummary.monthCost,
+        usageSummary.monthModels,
+        { forecast: usageSummary.forecast }
       );
       if (Number.isFinite(usageSummary.allTimeCost)) {
-        menuLine(
-          `Usage all-time: ${formatUsd(usageSummary.allTimeCost)}${note} | color=${usageColor}`
-        );
+        renderUsageLine('Usage all-time', usageSummary.allTimeCost, usageSummary.allTimeModels);
       }
+      renderBudgetLines(status.budget);
+      renderProjectUsage(usageSummary, [
+        resolveNodePath(),
+        path.join(repoRoot, 'scripts', 'usage-history.js'),
+        'projects',
+        '--daily',
+      ]);
     }
     if (usageSummary.historyPath) {
       menuLine(
@@ -375,102 +562,22 @@ async function main() {
     }
   }
 
-  if (limits) {
-    const seven = limits.seven_day?.utilization;
-    const fiveReset = limits.five_hour?.resets_at;
-    const sevenReset = limits.seven_day?.resets_at;
-    const fiveColor = pickColorByPercent(fiveUtil);
-    const sevenColor = pickColorByPercent(seven);
-    menuLine(
-      `5h limit: ${progressBar(fiveUtil)} (${limitOk(limits.five_hour) ? 'ok' : 'full'}) | color=${fiveColor} font=Menlo`
-    );
-    menuLine(`5h resets: ${formatResetTimeWithClock(fiveReset)} | color=#93C5FD`);
-    menuLine(
-      `7d limit: ${progressBar(seven)} (${limitOk(limits.seven_day) ? 'ok' : 'full'}) | color=${sevenColor} font=Menlo`
-    );
-    menuLine(`7d resets: ${formatResetTimeWithClock(sevenReset)} | color=#93C5FD`);
-  } else {
-    menuLine('5h limit: n/a | color=#9CA3AF');
-    menuLine('7d limit: n/a | color=#9CA3AF');
-  }
-
-  if (state?.lastLaunch) {
-    menuLine(`Last hello: ${formatAge(state.lastLaunch)} ago | color=#A7F3D0`);
-  } else {
-    menuLine('Last hello: never | color=#A7F3D0');
+  if (!profiles.length) {
+    renderLimitLines(limits);
+    renderHelloLines(status);
   }
-  menuLine(
-    `Hello history: ${formatHistory(state?.history, state?.lastLaunch)} | color=#A7F3D0`
-  );
 
   menuLine('---');
-  const nodePath = resolveNodePath();
-  const runOnceArgs = keeperPath
-    ? [
-        nodePath,
-        keeperPath,
-        '--once',
-        '--ignore-utilization',
-        `--active-minutes=${config.activeMinutes}`,
-        '--cooldown-minutes=0',
-      ]
-    : null;
-  const forceOnceArgs = keeperPath
-    ? [
-        nodePath,
-        keeperPath,
-        '--once',
-        '--force',
-        `--active-minutes=${config.activeMinutes}`,
-        '--cooldown-minutes=0',
-      ]
-    : null;
-  const pauseArgs = keeperPath
-    ? [nodePath, keeperPath, '--pause-minutes=30']
-    : null;
-  const resumeArgs = keeperPath
-    ? [nodePath, keeperPath, '--resume']
-    : null;
-  const stopArgs = keeperPath
-    ? [nodePath, keeperPath, '--stop']
-    : null;
-
-  if (limitsOk && runOnceArgs) {
-    menuLine(
-      `Send hello now | color=#22C55E bash=${runOnceArgs[0]} param1=${runOnceArgs[1]} param2=${runOnceArgs[2]} param3=${runOnceArgs[3]} param4=${runOnceArgs[4]} terminal=false refresh=true`
-    );
-  } else if (!keeperPath) {
-    menuLine('Send hello now (set KEEPALIVE_PATH) | disabled=true');
-  } else {
-    menuLine('Send hello now (limits full) | disabled=true');
-  }
-  if (!limitsOk && forceOnceArgs) {
-    menuLine(
-      `Send hello anyway | color=#F97316 bash=${forceOnceArgs[0]} param1=${forceOnceArgs[1]} param2=${forceOnceArgs[2]} param3=${forceOnceArgs[3]} param4=${forceOnceArgs[4]} param5=${forceOnceArgs[5]} terminal=false refresh=true`
-    );
-  }
-  if (pauseArgs) {
-    menuLine(
-      `Pause keepalive 30m | color=#F59E0B bash=${pauseArgs[0]} param1=${pauseArgs[1]} param2=${pauseArgs[2]} terminal=false refresh=true`
-    );
-  }
-  if (stopArgs) {
-    menuLine(
-      `Stop keepalive | color=#EF4444 bash=${stopArgs[0]} param1=${stopArgs[1]} param2=${stopArgs[2]} terminal=false refresh=true`
-    );
-  }
-  if (resumeArgs) {
-    menuLine(
-      `Resume keepalive | color=#60A5FA bash=${resumeArgs[0]} param1=${resumeArgs[1]} param2=${resumeArgs[2]} terminal=false refresh=true`
-    );
-  }
-  const [openCmd, openArgs] = resolveClaudeAppOpenArgs();
+  if (!profiles.length) renderHelloActions(status, keeper);
+  // Without --profile these apply to every profile.
+  renderKeepaliveActions(keeper);
+  const [openCmd, openArgs] = resolveClaudeAppOpenArgs(config);
   const openParams = openArgs
     .map((arg, index) => `param${index + 1}=${arg}`)
     .join(' ');
   menuLine(`Open Claude Code app | color=#60A5FA bash=${openCmd} ${openParams} terminal=false`);
-  const cliPath = resolveClaudeCliPath();
-  const cliArgs = (process.env.CLAUDE_ARGS || '').split(' ').map((s) => s.trim()).filter(Boolean);
+  const cliPath = resolveClaudeCliPath(config);
+  const cliArgs = (config.claudeArgs || '').split(' ').map((s) => s.trim()).filter(Boolean);
   const openCliScript = path.join(repoRoot, 'scripts', 'open-claude-cli.sh');
   if (existsSync(openCliScript)) {
     const cwdParam = lastCwd || '.';
@@ -495,12 +602,12 @@ async function main() {
       );
     }
   }
-  const keepaliveLogPath = '/tmp/claude-keepalive.err';
+  const keepaliveLogPath = EVENT_LOG_PATH;
   ensureLogFile(keepaliveLogPath);
   menuLine(
     `Open keepalive log | color=#94A3B8 bash=/usr/bin/open param1=-a param2=Console.app param3=${keepaliveLogPath} terminal=false`
   );
-  menuLine('Active session keeper status | color=#94A3B8');
+  menuLine(formatDaemonLine(status.daemon));
 }
 
 main().catch((error) => {
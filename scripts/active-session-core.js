@@ -1,51 +1,709 @@
 #!/usr/bin/env node
 
-import { readdir, stat, readFile, writeFile, mkdir, open } from 'fs/promises';
-import { execFileSync } from 'child_process';
+import {
+  appendFile,
+  readdir,
+  stat,
+  readFile,
+  writeFile,
+  mkdir,
+  open,
+  rename,
+} from 'fs/promises';
+import { existsSync, readFileSync, realpathSync } from 'fs';
+import { execFileSync, spawnSync } from 'child_process';
+import { AsyncLocalStorage } from 'async_hooks';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
 import path from 'path';
 import os from 'os';
+import { pathToFileURL } from 'url';
+import {
+  validateScheduleRules,
+  validateSkipDates,
+  validateTargetResetTimes,
+  validateTimeZone,
+} from './schedule.js';
+import { acquireFileLock, isFileLockHeld, releaseFileLock } from './file-lock.js';
 
 export const DEFAULTS = {
   intervalMinutes: 10,
   activeMinutes: 10,
+  sessionWindowMinutes: 60,
   helloDelaySeconds: 5,
   cooldownMinutes: 10,
+  reauthCooldownMinutes: 60,
   maxDepth: 6,
   tailBytes: 256 * 1024,
 };
 
 export const CACHE_DIR = path.join(os.homedir(), '.cache', 'claude-dashboard');
 export const STATE_PATH = path.join(CACHE_DIR, 'active-session-keeper.json');
-const LIMITS_CACHE_PATH = path.join(CACHE_DIR, 'usage-limits-cache.json');
-const EXTRA_USAGE_CACHE_PATH = path.join(CACHE_DIR, 'extra-usage-cache.json');
+const LIMITS_CACHE_FILE = 'usage-limits-cache.json';
+const LIMITS_SERIES_FILE = 'usage-limits-series.jsonl';
+const LIMITS_SERIES_RAW_KEEP_MS = 2 * 24 * 60 * 60 * 1000;
+const LIMITS_SERIES_KEEP_MS = 30 * 24 * 60 * 60 * 1000;
+const LIMITS_SERIES_COMPACT_MS = 60 * 60 * 1000;
+const LIMITS_SERIES_LOCK_STALE_MS = 10 * 1000;
+const LIMITS_SERIES_LOCK_TIMEOUT_MS = 2 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const EXTRA_USAGE_CACHE_FILE = 'extra-usage-cache.json';
+const TRANSCRIPT_INDEX_FILE = 'transcript-index.json';
+const SLEEP_INTERVALS_PATH = path.join(CACHE_DIR, 'sleep-intervals.json');
+const SLEEP_INTERVALS_KEEP_MS = 7 * 24 * 60 * 60 * 1000;
+const PROFILE_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+const TRANSCRIPT_INDEX_VERSION = 1;
+const TRANSCRIPT_INDEX_KEEP_MS = 7 * 24 * 60 * 60 * 1000;
 const DEFAULT_LIMITS_CACHE_MINUTES = 180;
 const DEFAULT_EXTRA_USAGE_CACHE_MINUTES = 360;
 
-const CLAUDE_CONFIG_DIR_ENV = 'CLAUDE_CONFIG_DIR';
+const DEFAULT_KEYCHAIN_SERVICE = 'Claude Code-credentials';
+const DEFAULT_TOKEN_ENV = 'CLAUDE_CODE_OAUTH_TOKEN';
+const DEFAULT_API_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_API_TIMEOUT_MS = 15000;
+const DEFAULT_OAUTH_TOKEN_URL = 'https://console.anthropic.com/v1/oauth/token';
+const DEFAULT_OAUTH_CLIENT_ID = '9d1c250a-e61b-44d9-88ed-5944d1962f5e';
+
+// Settings shared by the keeper, the menu plugin and usage history.
+// Precedence: CLI flag > env var > config file > default.
+export const CONFIG_SCHEMA = {
+  intervalMinutes: {
+    type: 'number',
+    min: 1,
+    default: DEFAULTS.intervalMinutes,
+    env: 'INTERVAL_MINUTES',
+    flag: 'interval-minutes',
+    description: 'Minutes between keepalive ticks.',
+  },
+  activeMinutes: {
+    type: 'number',
+    min: 0,
+    default: DEFAULTS.activeMinutes,
+    env: 'ACTIVE_MINUTES',
+    flag: 'active-minutes',
+    description: 'A session with activity this recent counts as active.',
+  },
+  sessionWindowMinutes: {
+    type: 'number',
+    min: 1,
+    default: DEFAULTS.sessionWindowMinutes,
+    env: 'SESSION_WINDOW_MINUTES',
+    flag: 'session-window-minutes',
+    description: 'How far back the Sessions submenu looks.',
+  },
+  helloDelaySeconds: {
+    type: 'number',
+    min: 0,
+    default: DEFAULTS.helloDelaySeconds,
+    env: 'HELLO_DELAY_SECONDS',
+    flag: 'hello-delay-seconds',
+    description: 'Delay before the hello is typed into the spawned claude process (stdin strategy).',
+  },
+  cooldownMinutes: {
+    type: 'number',
+    min: 0,
+    default: DEFAULTS.cooldownMinutes,
+    env: 'COOLDOWN_MINUTES',
+    flag: 'cooldown-minutes',
+    description: 'Minimum minutes between two hellos.',
+  },
+  reauthCooldownMinutes: {
+    type: 'number',
+    min: 0,
+    default: DEFAULTS.reauthCooldownMinutes,
+    env: 'REAUTH_COOLDOWN_MINUTES',
+    flag: 'reauth-cooldown-minutes',
+    description: 'Minimum minutes between opening the app for re-auth.',
+  },
+  schedule: {
+    perProfile: true,
+    type: 'list',
+    separator: ';',
+    default: [],
+    env: 'KEEPALIVE_SCHEDULE',
+    flag: 'schedule',
+    validate: validateScheduleRules,
+    description: 'When hellos may be sent, e.g. "mon-fri 07:30-09:00" (empty = any time).',
+  },
+  scheduleTimezone: {
+    perProfile: true,
+    type: 'string',
+    default: null,
+    env: 'KEEPALIVE_SCHEDULE_TZ',
+    validate: validateTimeZone,
+    description: 'IANA time zone for the schedule, skip dates and target resets (default: system).',
+  },
+  skipDates: {
+    perProfile: true,
+    type: 'list',
+    separator: ',',
+    default: [],
+    env: 'KEEPALIVE_SKIP_DATES',
+    validate: validateSkipDates,
+    description: 'Dates without hellos (YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD).',
+  },
+  targetResetTimes: {
+    perProfile: true,
+    type: 'list',
+    separator: ',',
+    default: [],
+    env: 'KEEPALIVE_TARGET_RESETS',
+    flag: 'target-resets',
+    validate: validateTargetResetTimes,
+    description: 'Local times the 5h window should reset at, e.g. "12:30,17:30".',
+  },
+  maxDepth: {
+    type: 'number',
+    min: 0,
+    default: DEFAULTS.maxDepth,
+    env: 'MAX_DEPTH',
+    flag: 'max-depth',
+    description: 'Directory depth scanned for transcripts.',
+  },
+  tailBytes: {
+    type: 'number',
+    min: 1024,
+    default: DEFAULTS.tailBytes,
+    env: 'TAIL_BYTES',
+    flag: 'tail-bytes',
+    description: 'Bytes read from the end of a transcript.',
+  },
+  transcriptPath: {
+    type: 'string',
+    default: null,
+    env: 'TRANSCRIPT_PATH',
+    flag: 'transcript-path',
+    description: 'Watch a single transcript file instead of scanning.',
+  },
+  transcriptDirs: {
+    perProfile: true,
+    type: 'list',
+    separator: path.delimiter,
+    default: [],
+    env: 'CLAUDE_TRANSCRIPT_DIRS',
+    description: 'Extra transcript directories.',
+  },
+  claudeConfigDirs: {
+    perProfile: true,
+    type: 'list',
+    separator: ',',
+    default: [],
+    env: 'CLAUDE_CONFIG_DIR',
+    description: 'Claude config dirs (projects and credentials) checked before the defaults.',
+  },
+  claudeCommand: {
+    perProfile: true,
+    type: 'string',
+    default: null,
+    env: 'CLAUDE_CMD',
+    description: 'claude CLI command (default: resolved from PATH).',
+  },
+  claudeArgs: {
+    perProfile: true,
+    type: 'string',
+    default: '',
+    env: 'CLAUDE_ARGS',
+    description: 'Space-separated args for the claude process.',
+  },
+  launchStrategy: {
+    perProfile: true,
+    type: 'enum',
+    values: ['headless', 'stdin'],
+    default: 'headless',
+    env: 'KEEPALIVE_LAUNCH_STRATEGY',
+    flag: 'launch-strategy',
+    description: 'How the hello is sent: headless (`claude -p`) or stdin (typed into interactive claude).',
+  },
+  helloPrompt: {
+    perProfile: true,
+    type: 'string',
+    default: 'hello',
+    env: 'KEEPALIVE_HELLO_PROMPT',
+    description: 'Prompt sent as the hello.',
+  },
+  helloModel: {
+    perProfile: true,
+    type: 'string',
+    default: null,
+    env: 'KEEPALIVE_HELLO_MODEL',
+    description: 'Model for headless hellos (default: the CLI default).',
+  },
+  helloMaxTurns: {
+    type: 'number',
+    min: 1,
+    default: 1,
+    env: 'KEEPALIVE_HELLO_MAX_TURNS',
+    description: 'Max agent turns for headless hellos.',
+  },
+  helloTimeoutSeconds: {
+    type: 'number',
+    min: 1,
+    default: 120,
+    env: 'KEEPALIVE_HELLO_TIMEOUT_SECONDS',
+    description: 'Hellos still running after this are killed.',
+  },
+  verifyTimeoutSeconds: {
+    type: 'number',
+    min: 0,
+    default: 60,
+    env: 'KEEPALIVE_VERIFY_TIMEOUT_SECONDS',
+    description: 'How long to wait for the hello to show up in a transcript (0 = check once).',
+  },
+  verifyLimits: {
+    type: 'boolean',
+    default: false,
+    env: 'KEEPALIVE_VERIFY_LIMITS',
+    description: 'Also re-fetch limits after a hello and check that the 5h resets_at changed.',
+  },
+  claudeApp: {
+    perProfile: true,
+    type: 'string',
+    default: 'Claude Code',
+    env: 'CLAUDE_APP',
+    description: 'App opened for re-auth.',
+  },
+  credentialProviders: {
+    perProfile: true,
+    type: 'list',
+    separator: ',',
+    default: [],
+    env: 'CLAUDE_CREDENTIAL_PROVIDERS',
+    description: 'Credential providers to try, in order (empty = platform default).',
+  },
+  credentialCommand: {
+    perProfile: true,
+    type: 'string',
+    default: null,
+    env: 'CLAUDE_CREDENTIAL_COMMAND',
+    description: 'Command whose stdout is the token or credentials JSON.',
+  },
+  credentialsPath: {
+    perProfile: true,
+    type: 'string',
+    default: null,
+    env: 'CLAUDE_CREDENTIALS_PATH',
+    description: 'Extra credentials file checked first.',
+  },
+  tokenEnv: {
+    perProfile: true,
+    type: 'string',
+    default: DEFAULT_TOKEN_ENV,
+    env: 'CLAUDE_TOKEN_ENV',
+    description: 'Env var read by the env credential provider.',
+  },
+  keychainService: {
+    perProfile: true,
+    type: 'string',
+    default: DEFAULT_KEYCHAIN_SERVICE,
+    env: 'CLAUDE_KEYCHAIN_SERVICE',
+    description: 'macOS Keychain service name.',
+  },
+  secretToolAttrs: {
+    perProfile: true,
+    type: 'string',
+    default: `service=${DEFAULT_KEYCHAIN_SERVICE}`,
+    env: 'CLAUDE_SECRET_TOOL_ATTRS',
+    description: 'secret-tool lookup attributes (key=value, comma-separated).',
+  },
+  oauthTokenUrl: {
+    type: 'string',
+    default: DEFAULT_OAUTH_TOKEN_URL,
+    env: 'CLAUDE_OAUTH_TOKEN_URL',
+    description: 'OAuth refresh-token endpoint.',
+  },
+  oauthClientId: {
+    type: 'string',
+    default: DEFAULT_OAUTH_CLIENT_ID,
+    env: 'CLAUDE_OAUTH_CLIENT_ID',
+    description: 'OAuth client id used for refresh.',
+  },
+  apiBaseUrl: {
+    type: 'string',
+    default: DEFAULT_API_BASE_URL,
+    env: 'CLAUDE_API_BASE_URL',
+    description: 'Base URL for the usage and profile endpoints.',
+  },
+  apiTimeoutMs: {
+    type: 'number',
+    min: 1,
+    default: DEFAULT_API_TIMEOUT_MS,
+    env: 'CLAUDE_API_TIMEOUT_MS',
+    description: 'API request timeout in milliseconds.',
+  },
+  apiProxy: {
+    type: 'string',
+    default: null,
+    env: 'CLAUDE_API_PROXY',
+    description: 'HTTP(S) proxy for API calls (otherwise HTTPS_PROXY/HTTP_PROXY).',
+  },
+  usageSource: {
+    type: 'enum',
+    values: ['native', 'ccusage'],
+    default: 'native',
+    env: 'USAGE_SOURCE',
+    description: 'Where token usage comes from.',
+  },
+  pricingPath: {
+    type: 'string',
+    default: null,
+    env: 'CLAUDE_PRICING_PATH',
+    description: 'Pricing file (default: config/pricing.json).',
+  },
+  cacheWriteMode: {
+    type: 'enum',
+    values: ['5m', '1h'],
+    default: null,
+    env: 'CACHE_WRITE_MODE',
+    description: 'Cache write pricing tier (default: from pricing file).',
+  },
+  ccusageCommand: {
+    type: 'string',
+    default: 'ccusage',
+    env: 'CCUSAGE_CMD',
+    description: 'ccusage command.',
+  },
+  ccusageArgs: {
+    type: 'string',
+    default: '',
+    env: 'CCUSAGE_ARGS',
+    description: 'Extra ccusage args.',
+  },
+  ccusageCacheMinutes: {
+    type: 'number',
+    min: 0,
+    default: 0,
+    env: 'CCUSAGE_CACHE_MINUTES',
+    description: 'Minutes to cache ccusage output (0 = every refresh).',
+  },
+  budgetDailyUsd: {
+    type: 'number',
+    min: 0,
+    default: 0,
+    env: 'BUDGET_DAILY_USD',
+    description: 'Daily cost budget in USD (0 = none).',
+  },
+  budgetWeeklyUsd: {
+    type: 'number',
+    min: 0,
+    default: 0,
+    env: 'BUDGET_WEEKLY_USD',
+    description: 'Weekly (Monday to Sunday) cost budget in USD (0 = none).',
+  },
+  budgetMonthlyUsd: {
+    type: 'number',
+    min: 0,
+    default: 0,
+    env: 'BUDGET_MONTHLY_USD',
+    description: 'Monthly cost budget in USD (0 = none).',
+  },
+  budgetWarnPercent: {
+    type: 'number',
+    min: 1,
+    default: 80,
+    env: 'BUDGET_WARN_PERCENT',
+    description: 'Share of a budget at which it turns to warning.',
+  },
+  budgetCriticalPercent: {
+    type: 'number',
+    min: 1,
+    default: 100,
+    env: 'BUDGET_CRITICAL_PERCENT',
+    description: 'Share of a budget at which it turns critical.',
+  },
+  budgetNotify: {
+    type: 'boolean',
+    default: true,
+    env: 'BUDGET_NOTIFY',
+    description: 'Show a desktop notification when a budget threshold is first crossed.',
+  },
+  eventLogMaxKb: {
+    type: 'number',
+    min: 16,
+    default: 1024,
+    env: 'KEEPALIVE_EVENT_LOG_MAX_KB',
+    description: 'Size at which the keeper event log is rotated (3 old files are kept).',
+  },
+  serverHost: {
+    type: 'string',
+    default: '127.0.0.1',
+    env: 'KEEPALIVE_SERVER_HOST',
+    flag: 'server-host',
+    description: 'Address the keeper --serve endpoints bind to.',
+  },
+  serverPort: {
+    type: 'number',
+    min: 1,
+    default: 8788,
+    env: 'KEEPALIVE_SERVER_PORT',
+    flag: 'server-port',
+    description: 'Port for the keeper --serve endpoints (/status, /metrics).',
+  },
+  profiles: {
+    type: 'profiles',
+    default: {},
+    env: 'CLAUDE_PROFILES',
+    description: 'Named accounts, e.g. "personal=/home/me/.claude,work=/home/me/.claude-work".',
+  },
+};
 
-export function getSearchDirs() {
-  const dirs = [];
-  const baseDirs = [];
+export function getConfigPath(env = process.env) {
+  if (env.CLAUDE_KEEPALIVE_CONFIG) return env.CLAUDE_KEEPALIVE_CONFIG;
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'claude-keepalive', 'config.json');
+}
+
+function coerceSetting(spec, value) {
+  switch (spec.type) {
+    case 'number': {
+      const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+        return { error: 'expected a number' };
+      }
+      if (typeof spec.min === 'number' && parsed < spec.min) {
+        return { error: `must be >= ${spec.min}` };
+      }
+      return { value: parsed };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      if (['1', 'true', 'yes', 'on'].includes(normalized)) return { value: true };
+      if (['0', 'false', 'no', 'off'].includes(normalized)) return { value: false };
+      return { error: 'expected true or false' };
+    }
+    case 'enum': {
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!spec.values.includes(normalized)) {
+        return { error: `expected one of ${spec.values.join(', ')}` };
+      }
+      return { value: normalized };
+    }
+    case 'profiles':
+      return coerceProfiles(value);
+    case 'list': {
+      if (Array.isArray(value) && value.every((item) => typeof item === 'string')) {
+        return { value: value.map((item) => item.trim()).filter(Boolean) };
+      }
+      if (typeof value === 'string') {
+        return { value: value.split(spec.separator).map((item) => item.trim()).filter(Boolean) };
+      }
+      return { error: 'expected a list of strings' };
+    }
+    case 'string':
+    default:
+      if (value !== null && typeof value !== 'string') return { error: 'expected a string' };
+      return { value };
+  }
+}
 
-  const envDirs = process.env.CLAUDE_TRANSCRIPT_DIRS;
-  if (envDirs) {
-    for (const dir of envDirs.split(path.delimiter)) {
-      if (dir.trim()) dirs.push(dir.trim());
+// Env form: "name=dir[,name=dir]". File form: { name: "dir" } or { name: { <perProfile settings> } }.
+function coerceProfiles(value) {
+  let entries;
+  if (typeof value === 'string') {
+    entries = [];
+    for (const item of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+      const index = item.indexOf('=');
+      if (index <= 0) return { error: `"${item}": expected name=configDir` };
+      entries.push([item.slice(0, index).trim(), item.slice(index + 1).trim()]);
     }
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    return { error: 'expected an object or "name=dir" list' };
   }
 
-  const configDirsEnv = process.env[CLAUDE_CONFIG_DIR_ENV];
-  if (configDirsEnv) {
-    for (const part of configDirsEnv.split(',')) {
-      const trimmed = part.trim();
-      if (trimmed) baseDirs.push(trimmed);
+  const profiles = {};
+  for (const [name, raw] of entries) {
+    if (!PROFILE_NAME_RE.test(name)) return { error: `invalid profile name "${name}"` };
+    const overrides = typeof raw === 'string' ? { claudeConfigDirs: raw } : raw;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return { error: `${name}: expected a config dir or an object` };
+    }
+    profiles[name] = {};
+    for (const [key, setting] of Object.entries(overrides)) {
+      const spec = CONFIG_SCHEMA[key];
+      if (!spec?.perProfile) return { error: `${name}: "${key}" cannot be set per profile` };
+      const result = coerceSetting(spec, setting);
+      const error = result.error || spec.validate?.(result.value);
+      if (error) return { error: `${name}.${key}: ${error}` };
+      profiles[name][key] = result.value;
+    }
+  }
+  return { value: profiles };
+}
+
+function readConfigFile(configPath, errors) {
+  if (!existsSync(configPath)) return {};
+  let payload;
+  try {
+    payload = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    errors.push(`${configPath}: invalid JSON (${error.message})`);
+    return {};
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    errors.push(`${configPath}: expected a JSON object`);
+    return {};
+  }
+  return payload;
+}
+
+let activeConfig = null;
+let activeSources = {};
+const profileContext = new AsyncLocalStorage();
+
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const argv = options.argv || [];
+  const configPath = options.configPath || getConfigPath(env);
+  const errors = [];
+  const config = {};
+  const sources = {};
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    config[key] = spec.default;
+    sources[key] = 'default';
+  }
+
+  const apply = (key, value, source, label) => {
+    const spec = CONFIG_SCHEMA[key];
+    const result = coerceSetting(spec, value);
+    const error = result.error || spec.validate?.(result.value);
+    if (error) {
+      errors.push(`${label}: ${error}`);
+      return;
+    }
+    config[key] = result.value;
+    sources[key] = source;
+  };
+
+  const fileValues = readConfigFile(configPath, errors);
+  for (const [key, value] of Object.entries(fileValues)) {
+    if (key === '$schema') continue;
+    if (!CONFIG_SCHEMA[key]) {
+      errors.push(`${configPath}: unknown setting "${key}"`);
+      continue;
+    }
+    apply(key, value, 'file', `${configPath}: ${key}`);
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const value = spec.env ? env[spec.env] : undefined;
+    if (value !== undefined && value !== '') apply(key, value, 'env', `${spec.env}`);
+  }
+
+  for (const arg of argv) {
+    if (!arg.startsWith('--') || !arg.includes('=')) continue;
+    const flag = arg.slice(2, arg.indexOf('='));
+    const key = Object.keys(CONFIG_SCHEMA).find((name) => CONFIG_SCHEMA[name].flag === flag);
+    if (key) apply(key, arg.slice(arg.indexOf('=') + 1), 'cli', `--${flag}`);
+  }
+
+  // Checks across settings run once every source is applied; both settings fall back together.
+  if (config.budgetWarnPercent >= config.budgetCriticalPercent) {
+    errors.push(
+      `budgetWarnPercent (${config.budgetWarnPercent}) must be below budgetCriticalPercent (${config.budgetCriticalPercent})`
+    );
+    for (const key of ['budgetWarnPercent', 'budgetCriticalPercent']) {
+      config[key] = CONFIG_SCHEMA[key].default;
+      sources[key] = 'default';
+    }
+  }
+
+  activeConfig = config;
+  activeSources = sources;
+  return { config, sources, errors, configPath };
+}
+
+export function getSettings() {
+  const profile = profileContext.getStore();
+  if (profile) return profile.settings;
+  if (!activeConfig) loadConfig();
+  return activeConfig;
+}
+
+// Profile settings sit between CLI flags and the shared settings: a flag still wins.
+export function getProfiles() {
+  if (!activeConfig) loadConfig();
+  return Object.entries(activeConfig.profiles || {}).map(([name, overrides]) => {
+    const settings = { ...activeConfig };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (activeSources[key] !== 'cli') settings[key] = value;
+    }
+    return { name, overrides, settings };
+  });
+}
+
+// Everything that reads getSettings() or a cache path inside fn sees this profile.
+export function runWithProfile(profile, fn) {
+  return profile ? profileContext.run(profile, fn) : fn();
+}
+
+export function getActiveProfileName() {
+  return profileContext.getStore()?.name ?? null;
+}
+
+// Without profiles everything stays in CACHE_DIR, where single-account installs keep their files.
+export function getProfileCacheDir() {
+  const name = getActiveProfileName();
+  return name ? path.join(CACHE_DIR, 'profiles', name) : CACHE_DIR;
+}
+
+export function getStatePath() {
+  return path.join(getProfileCacheDir(), path.basename(STATE_PATH));
+}
+
+export function getConfigDirs() {
+  const profile = profileContext.getStore();
+  // A profile's own config dirs replace the defaults, which belong to whichever account is default.
+  if (profile?.overrides.claudeConfigDirs?.length) {
+    return Array.from(new Set(profile.settings.claudeConfigDirs));
+  }
+
+  const baseDirs = [];
+
+  baseDirs.push(...getSettings().claudeConfigDirs);
+  if (!profile) {
+    for (const { overrides } of getProfiles()) {
+      baseDirs.push(...(overrides.claudeConfigDirs || []));
     }
   }
 
   const home = os.homedir();
   baseDirs.push(path.join(home, '.config', 'claude'), path.join(home, '.claude'));
 
-  for (const base of baseDirs) {
+  return Array.from(new Set(baseDirs));
+}
+
+// Launchd and systemd start jobs without the login PATH, so node is looked up in the usual places.
+export function resolveNodePath(fallback = 'node') {
+  const envNode = process.env.KEEPALIVE_NODE || process.env.NODE_PATH;
+  if (envNode && existsSync(envNode)) return envNode;
+  const candidates = ['/opt/homebrew/bin/node', '/usr/local/bin/node', '/usr/bin/node'];
+  for (const candidate of candidates) {
+    if (existsSync(candidate)) return candidate;
+  }
+  return fallback;
+}
+
+// Whether the module at metaUrl is the script node was started with. argv[1] may be a symlink or
+// a path whose characters are URL-encoded in import.meta.url, so both are compared as real paths.
+export function isMainModule(metaUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return metaUrl === pathToFileURL(realpathSync(process.argv[1])).href;
+  } catch {
+    return false;
+  }
+}
+
+export function getSearchDirs() {
+  const dirs = [];
+
+  dirs.push(...getSettings().transcriptDirs);
+
+  for (const base of getConfigDirs()) {
     dirs.push(path.join(base, 'projects'));
   }
 
@@ -65,10 +723,7 @@ function shouldSkipDir(name) {
   return name === 'node_modules' || name === '.git' || name === 'dist';
 }
 
-export async function findLatestTranscriptFile(dirs, maxDepth) {
-  let latestPath = null;
-  let latestMtime = 0;
-
+async function walkTranscriptFiles(dirs, maxDepth, visit) {
   async function walk(dir, depth) {
     if (depth < 0) return;
 
@@ -90,10 +745,7 @@ export async function findLatestTranscriptFile(dirs, maxDepth) {
         if (isCandidate) {
           try {
             const stats = await stat(fullPath);
-            if (stats.mtimeMs > latestMtime) {
-              latestMtime = stats.mtimeMs;
-              latestPath = fullPath;
-            }
+            visit(fullPath, stats);
           } catch {
             // ignore
           }
@@ -105,44 +757,38 @@ export async function findLatestTranscriptFile(dirs, maxDepth) {
   for (const dir of dirs) {
     await walk(dir, maxDepth);
   }
-
-  return latestPath ? { path: latestPath, mtimeMs: latestMtime } : null;
 }
 
-export async function readLastTranscriptTimestamp(filePath, tailBytes) {
-  try {
-    const fileStat = await stat(filePath);
-    const readSize = Math.min(fileStat.size, tailBytes);
-    const start = Math.max(0, fileStat.size - readSize);
-
-    const fh = await open(filePath, 'r');
-    try {
-      const buffer = Buffer.alloc(readSize);
-      await fh.read(buffer, 0, readSize, start);
-      const text = buffer.toString('utf-8');
-      const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+export async function findTranscriptFiles(dirs, maxDepth, sinceMs = 0) {
+  const files = [];
 
-      for (let i = lines.length - 1; i >= 0; i--) {
-        try {
-          const entry = JSON.parse(lines[i]);
-          const tsValue =
-            entry?.timestamp ||
-            entry?.snapshot?.timestamp ||
-            entry?.message?.timestamp ||
-            entry?.data?.timestamp;
-          if (tsValue) {
-            const ts = new Date(tsValue).getTime();
-            if (!Number.isNaN(ts)) return ts;
-          }
-        } catch {
-          // ignore malformed line
-        }
-      }
-    } finally {
-      await fh.close();
+  await walkTranscriptFiles(dirs, maxDepth, (filePath, stats) => {
+    if (stats.mtimeMs >= sinceMs) {
+      files.push({ path: filePath, mtimeMs: stats.mtimeMs, size: stats.size });
     }
+  });
+
+  return files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
 
-    return fileStat.mtimeMs;
+// Time and session of the newest entry that records a timestamp; null when none does.
+export async function readLastTranscriptEntry(filePath, tailBytes) {
+  try {
+    return await scanTranscriptEntries(filePath, { bytes: tailBytes, fromEnd: true }, (entry) => {
+      const timestamp = extractEntryTimestamp(entry);
+      return timestamp === null ? null : { timestamp, sessionId: extractEntrySessionId(entry) };
+    });
+  } catch {
+    return null;
+  }
+}
+
+// Falls back to the file's mtime when no entry records a timestamp.
+export async function readLastTranscriptTimestamp(filePath, tailBytes) {
+  const entry = await readLastTranscriptEntry(filePath, tailBytes);
+  if (entry) return entry.timestamp;
+  try {
+    return (await stat(filePath)).mtimeMs;
   } catch {
     return null;
   }
@@ -150,149 +796,834 @@ export async function readLastTranscriptTimestamp(filePath, tailBytes) {
 
 export async function readLastTranscriptCwd(filePath, tailBytes) {
   try {
-    const fileStat = await stat(filePath);
-    const readSize = Math.min(fileStat.size, tailBytes);
-    const start = Math.max(0, fileStat.size - readSize);
+    return await scanTranscriptEntries(
+      filePath,
+      { bytes: tailBytes, fromEnd: true },
+      extractEntryCwd
+    );
+  } catch {
+    return null;
+  }
+}
 
-    const fh = await open(filePath, 'r');
-    try {
-      const buffer = Buffer.alloc(readSize);
-      await fh.read(buffer, 0, readSize, start);
-      const text = buffer.toString('utf-8');
-      const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+export async function getLatestActivityTimestamp(config, snapshot) {
+  if (config.transcriptPath) {
+    return await readLastTranscriptTimestamp(config.transcriptPath, config.tailBytes);
+  }
 
-      for (let i = lines.length - 1; i >= 0; i--) {
-        try {
-          const entry = JSON.parse(lines[i]);
-          const cwd =
-            entry?.cwd ||
-            entry?.message?.cwd ||
-            entry?.workspace?.current_dir ||
-            entry?.data?.cwd;
-          if (cwd && typeof cwd === 'string') return cwd;
-        } catch {
-          // ignore malformed line
-        }
-      }
-    } finally {
-      await fh.close();
-    }
+  const { latest } = snapshot || (await loadTranscriptSnapshot(config));
+  return latest ? latest.lastActivity : null;
+}
 
-    return null;
+export async function getLatestActivityCwd(config, snapshot) {
+  if (config.transcriptPath) {
+    return await readLastTranscriptCwd(config.transcriptPath, config.tailBytes);
+  }
+
+  const { latest } = snapshot || (await loadTranscriptSnapshot(config));
+  return latest ? latest.cwd : null;
+}
+
+// The SessionStart hook entry marks the start; otherwise the first timestamp, then the mtime.
+export async function readSessionStartTimestamp(filePath, headBytes) {
+  try {
+    let firstTimestamp = null;
+    const hookStart = await scanTranscriptEntries(filePath, { bytes: headBytes }, (entry) => {
+      const ts = extractEntryTimestamp(entry);
+      if (firstTimestamp === null) firstTimestamp = ts;
+      return isSessionStartHook(entry) ? ts : null;
+    });
+    return hookStart ?? firstTimestamp ?? (await stat(filePath)).mtimeMs;
   } catch {
     return null;
   }
 }
 
-export async function getLatestActivityTimestamp(config) {
+export async function getSessionStartTimestamp(config, snapshot) {
+  const headBytes = Math.min(config.tailBytes || DEFAULTS.tailBytes, 256 * 1024);
   if (config.transcriptPath) {
-    return await readLastTranscriptTimestamp(config.transcriptPath, config.tailBytes);
+    return await readSessionStartTimestamp(config.transcriptPath, headBytes);
   }
 
-  const dirs = getSearchDirs();
-  const latest = await findLatestTranscriptFile(dirs, config.maxDepth);
-  if (!latest) return null;
+  const { latest } = snapshot || (await loadTranscriptSnapshot(config));
+  return latest ? latest.startedAt : null;
+}
 
-  return await readLastTranscriptTimestamp(latest.path, config.tailBytes);
+export async function readTranscriptSessionId(filePath, headBytes) {
+  try {
+    const sessionId = await scanTranscriptEntries(
+      filePath,
+      { bytes: headBytes },
+      extractEntrySessionId
+    );
+    if (sessionId) return sessionId;
+  } catch {
+    // ignore
+  }
+  return path.basename(filePath, '.jsonl');
 }
 
-export async function getLatestActivityCwd(config) {
+// Sleep intervals are recorded by the keeper loop when it notices the wall clock jump ahead.
+export async function readSleepIntervals() {
+  try {
+    const payload = JSON.parse(await readFile(SLEEP_INTERVALS_PATH, 'utf-8'));
+    return Array.isArray(payload?.intervals) ? payload.intervals : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function recordSleepInterval(from, to) {
+  const cutoff = Date.now() - SLEEP_INTERVALS_KEEP_MS;
+  const intervals = (await readSleepIntervals()).filter((interval) => interval.to >= cutoff);
+  intervals.push({ from, to });
+  try {
+    await writeJsonAtomic(SLEEP_INTERVALS_PATH, { intervals });
+  } catch {
+    // ignore
+  }
+}
+
+// Time between start and end that the machine was awake.
+export function awakeMsBetween(start, end, sleepIntervals = []) {
+  let asleep = 0;
+  for (const { from, to } of sleepIntervals) {
+    asleep += Math.max(0, Math.min(to, end) - Math.max(from, start));
+  }
+  return Math.max(0, end - start - asleep);
+}
+
+export async function listSessions(config, windowMinutes, snapshot) {
+  const now = Date.now();
+  const windowMs =
+    (windowMinutes ?? config.sessionWindowMinutes ?? DEFAULTS.sessionWindowMinutes) * 60 * 1000;
+  const activeWindowMs = (config.activeMinutes ?? DEFAULTS.activeMinutes) * 60 * 1000;
+  const sinceMs = now - windowMs;
+
+  let files = [];
   if (config.transcriptPath) {
-    return await readLastTranscriptCwd(config.transcriptPath, config.tailBytes);
+    const headBytes = Math.min(config.tailBytes || DEFAULTS.tailBytes, 256 * 1024);
+    const lastActivity = await readLastTranscriptTimestamp(config.transcriptPath, config.tailBytes);
+    if (lastActivity) {
+      files = [
+        {
+          path: config.transcriptPath,
+          sessionId: await readTranscriptSessionId(config.transcriptPath, headBytes),
+          startedAt: await readSessionStartTimestamp(config.transcriptPath, headBytes),
+          lastActivity,
+          cwd: await readLastTranscriptCwd(config.transcriptPath, config.tailBytes),
+        },
+      ];
+    }
+  } else {
+    files = (snapshot || (await loadTranscriptSnapshot(config))).files;
   }
 
-  const dirs = getSearchDirs();
-  const latest = await findLatestTranscriptFile(dirs, config.maxDepth);
-  if (!latest) return null;
+  const sleepIntervals = await readSleepIntervals();
+  return files
+    .filter((file) => file.lastActivity && file.lastActivity >= sinceMs)
+    .map((file) => ({
+      sessionId: file.sessionId,
+      path: file.path,
+      startedAt: file.startedAt,
+      lastActivity: file.lastActivity,
+      cwd: file.cwd,
+      // A session that was active when the lid closed is still active right after wake.
+      active: awakeMsBetween(file.lastActivity, now, sleepIntervals) <= activeWindowMs,
+    }))
+    .sort((a, b) => b.lastActivity - a.lastActivity);
+}
 
-  return await readLastTranscriptCwd(latest.path, config.tailBytes);
+function extractEntryTimestamp(entry) {
+  const tsValue =
+    entry?.timestamp ||
+    entry?.snapshot?.timestamp ||
+    entry?.message?.timestamp ||
+    entry?.data?.timestamp;
+  if (!tsValue) return null;
+  const ts = new Date(tsValue).getTime();
+  return Number.isNaN(ts) ? null : ts;
 }
 
-export async function readSessionStartTimestamp(filePath, headBytes) {
-  try {
-    const fileStat = await stat(filePath);
-    const readSize = Math.min(fileStat.size, headBytes);
+export function extractEntryCwd(entry) {
+  const cwd =
+    entry?.cwd ||
+    entry?.message?.cwd ||
+    entry?.workspace?.current_dir ||
+    entry?.data?.cwd;
+  return cwd && typeof cwd === 'string' ? cwd : null;
+}
+
+function extractEntrySessionId(entry) {
+  const sessionId = entry?.sessionId || entry?.session_id || entry?.data?.sessionId;
+  return sessionId && typeof sessionId === 'string' ? sessionId : null;
+}
+
+function isSessionStartHook(entry) {
+  return entry?.data?.type === 'hook_progress' && entry?.data?.hookEvent === 'SessionStart';
+}
 
-    const fh = await open(filePath, 'r');
+function parseTranscriptChunk(buffer) {
+  const entries = [];
+  const lines = buffer.toString('utf-8').split('\n').map((l) => l.trim()).filter(Boolean);
+  for (const line of lines) {
     try {
-      const buffer = Buffer.alloc(readSize);
-      await fh.read(buffer, 0, readSize, 0);
-      const text = buffer.toString('utf-8');
-      const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+      entries.push(JSON.parse(line));
+    } catch {
+      // ignore malformed or partial line
+    }
+  }
+  return entries;
+}
 
-      let firstTimestamp = null;
-      for (let i = 0; i < lines.length; i++) {
-        try {
-          const entry = JSON.parse(lines[i]);
-          const tsValue =
-            entry?.timestamp ||
-            entry?.snapshot?.timestamp ||
-            entry?.message?.timestamp ||
-            entry?.data?.timestamp;
-          if (tsValue && !firstTimestamp) {
-            const ts = new Date(tsValue).getTime();
-            if (!Number.isNaN(ts)) firstTimestamp = ts;
-          }
+async function readFileRange(filePath, start, length) {
+  const fh = await open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buffer, 0, length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
 
-          if (entry?.data?.type === 'hook_progress' && entry?.data?.hookEvent === 'SessionStart') {
-            if (tsValue) {
-              const ts = new Date(tsValue).getTime();
-              if (!Number.isNaN(ts)) return ts;
-            }
-          }
-        } catch {
-          // ignore malformed line
-        }
+// Reads the first `bytes` of a JSONL transcript (the last ones, newest entry first, with fromEnd)
+// and returns the first non-null value extract gives for an entry, or null. Throws when the file
+// cannot be read.
+async function scanTranscriptEntries(filePath, { bytes, fromEnd = false }, extract) {
+  const { size } = await stat(filePath);
+  const length = Math.min(size, bytes);
+  const entries = parseTranscriptChunk(
+    await readFileRange(filePath, fromEnd ? size - length : 0, length)
+  );
+  if (fromEnd) entries.reverse();
+  for (const entry of entries) {
+    const value = extract(entry);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function applyTranscriptEntries(record, entries, inHead) {
+  for (const entry of entries) {
+    const ts = extractEntryTimestamp(entry);
+    if (!record.sessionId) record.sessionId = extractEntrySessionId(entry);
+    if (inHead && ts) {
+      if (!record.startedAt) record.startedAt = ts;
+      if (!record.startedFromHook && isSessionStartHook(entry)) {
+        record.startedAt = ts;
+        record.startedFromHook = true;
       }
+    }
+    if (ts) record.lastTimestamp = ts;
+    const cwd = extractEntryCwd(entry);
+    if (cwd) record.cwd = cwd;
+  }
+}
 
-      if (firstTimestamp) return firstTimestamp;
-    } finally {
-      await fh.close();
+async function indexTranscriptFile(filePath, stats, previous, config) {
+  if (previous && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs) {
+    return previous;
+  }
+
+  const tailBytes = config.tailBytes || DEFAULTS.tailBytes;
+  const headBytes = Math.min(tailBytes, 256 * 1024);
+  const appendOnly = !!(previous && stats.size >= previous.size);
+  const record = appendOnly
+    ? { ...previous }
+    : {
+        offset: 0,
+        sessionId: null,
+        startedAt: null,
+        startedFromHook: false,
+        lastTimestamp: null,
+        cwd: null,
+      };
+
+  if (!appendOnly) {
+    const head = await readFileRange(filePath, 0, Math.min(stats.size, headBytes));
+    applyTranscriptEntries(record, parseTranscriptChunk(head), true);
+  }
+
+  // Only bytes appended since the last run are read; a huge append is capped to the tail.
+  const start = Math.max(record.offset, stats.size - tailBytes);
+  if (stats.size > start) {
+    const chunk = await readFileRange(filePath, start, stats.size - start);
+    applyTranscriptEntries(record, parseTranscriptChunk(chunk), start < headBytes);
+    const lastNewline = chunk.lastIndexOf(0x0a);
+    if (lastNewline >= 0) record.offset = start + lastNewline + 1;
+  }
+
+  record.size = stats.size;
+  record.mtimeMs = stats.mtimeMs;
+  return record;
+}
+
+async function readTranscriptIndex() {
+  try {
+    const raw = await readFile(path.join(getProfileCacheDir(), TRANSCRIPT_INDEX_FILE), 'utf-8');
+    const payload = JSON.parse(raw);
+    if (payload?.version !== TRANSCRIPT_INDEX_VERSION || !payload.files) return {};
+    return payload.files;
+  } catch {
+    return {};
+  }
+}
+
+export async function writeJsonAtomic(filePath, data, space = 2) {
+  await mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, space), { mode: 0o600 });
+  await rename(tmpPath, filePath);
+}
+
+export async function loadTranscriptSnapshot(config) {
+  const previousFiles = await readTranscriptIndex();
+  const found = [];
+  await walkTranscriptFiles(getSearchDirs(), config.maxDepth, (filePath, stats) => {
+    found.push({ filePath, stats });
+  });
+
+  // Only transcripts touched within the retention window (and the newest one, for the last
+  // activity) are indexed; entries for older or deleted files are evicted.
+  const keepSince =
+    Date.now() - Math.max(TRANSCRIPT_INDEX_KEEP_MS, config.sessionWindowMinutes * 60 * 1000);
+  const newestMtimeMs = Math.max(0, ...found.map(({ stats }) => stats.mtimeMs));
+  const files = {};
+  let changed = false;
+  for (const { filePath, stats } of found) {
+    if (stats.mtimeMs < keepSince && stats.mtimeMs !== newestMtimeMs) continue;
+    const previous = previousFiles[filePath];
+    try {
+      const record = await indexTranscriptFile(filePath, stats, previous, config);
+      if (record !== previous) changed = true;
+      files[filePath] = record;
+    } catch {
+      // ignore unreadable file
+    }
+  }
+
+  if (Object.keys(previousFiles).some((filePath) => !files[filePath])) changed = true;
+
+  if (changed) {
+    try {
+      await writeJsonAtomic(
+        path.join(getProfileCacheDir(), TRANSCRIPT_INDEX_FILE),
+        { version: TRANSCRIPT_INDEX_VERSION, updatedAt: Date.now(), files },
+        0
+      );
+    } catch {
+      // ignore
     }
+  }
+
+  const entries = Object.entries(files)
+    .map(([filePath, record]) => ({
+      path: filePath,
+      mtimeMs: record.mtimeMs,
+      size: record.size,
+      sessionId: record.sessionId || path.basename(filePath, '.jsonl'),
+      startedAt: record.startedAt ?? record.mtimeMs,
+      lastActivity: record.lastTimestamp ?? record.mtimeMs,
+      cwd: record.cwd,
+    }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+  return { files: entries, latest: entries[0] || null };
+}
 
-    return fileStat.mtimeMs;
+function parseCredentialPayload(raw) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (!text) return null;
+  try {
+    const creds = JSON.parse(text);
+    const oauth = creds?.claudeAiOauth;
+    if (!oauth?.accessToken) return null;
+    return {
+      token: oauth.accessToken,
+      refreshToken: oauth.refreshToken ?? null,
+      expiresAt: oauth.expiresAt ?? null,
+      raw: creds,
+    };
   } catch {
-    return null;
+    // A bare token (env var or command output) is accepted as-is.
+    return /^\S+$/.test(text)
+      ? { token: text, refreshToken: null, expiresAt: null, raw: null }
+      : null;
   }
 }
 
-export async function getSessionStartTimestamp(config) {
-  const headBytes = Math.min(config.tailBytes || DEFAULTS.tailBytes, 256 * 1024);
-  if (config.transcriptPath) {
-    return await readSessionStartTimestamp(config.transcriptPath, headBytes);
+function buildCredentialPayload(credentials) {
+  const payload = credentials.raw && typeof credentials.raw === 'object' ? { ...credentials.raw } : {};
+  payload.claudeAiOauth = {
+    ...payload.claudeAiOauth,
+    accessToken: credentials.token,
+    refreshToken: credentials.refreshToken,
+    expiresAt: credentials.expiresAt,
+  };
+  return payload;
+}
+
+function describeExecError(error, fallback) {
+  if (error?.code === 'ENOENT') return 'not installed';
+  if (error?.code === 'ETIMEDOUT') return 'timed out';
+  return fallback;
+}
+
+function getCredentialFilePaths() {
+  const paths = [];
+  const { credentialsPath } = getSettings();
+  if (credentialsPath) paths.push(credentialsPath);
+  for (const base of getConfigDirs()) {
+    paths.push(path.join(base, '.credentials.json'));
   }
+  return Array.from(new Set(paths));
+}
 
-  const dirs = getSearchDirs();
-  const latest = await findLatestTranscriptFile(dirs, config.maxDepth);
-  if (!latest) return null;
+function getSecretToolAttributes() {
+  const raw = getSettings().secretToolAttrs || `service=${DEFAULT_KEYCHAIN_SERVICE}`;
+  const attrs = [];
+  for (const pair of raw.split(',')) {
+    const index = pair.indexOf('=');
+    if (index <= 0) continue;
+    attrs.push(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+  }
+  return attrs;
+}
 
-  return await readSessionStartTimestamp(latest.path, headBytes);
+// Quotes one argument for the `security -i` command parser.
+function quoteSecurityArg(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
 }
 
-export async function getOAuthToken() {
+function readKeychainAccount(service) {
   try {
-    if (process.platform === 'darwin') {
-      const result = execFileSync(
-        'security',
-        ['find-generic-password', '-s', 'Claude Code-credentials', '-w'],
-        { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }
-      ).trim();
+    const info = execFileSync('security', ['find-generic-password', '-s', service], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const match = info.match(/"acct"<blob>="([^"]*)"/);
+    if (match) return match[1];
+  } catch {
+    // fall back to the login name
+  }
+  return os.userInfo().username;
+}
+
+// Each provider reads credentials; writable ones also accept refreshed tokens.
+const CREDENTIAL_PROVIDERS = {
+  env: {
+    read: async () => {
+      const name = getSettings().tokenEnv || DEFAULT_TOKEN_ENV;
+      const value = process.env[name];
+      if (!value) return { reason: `${name} not set` };
+      const credentials = parseCredentialPayload(value);
+      return credentials ? { credentials, detail: name } : { reason: `${name} invalid` };
+    },
+  },
+  command: {
+    read: async () => {
+      const command = getSettings().credentialCommand;
+      if (!command) return { reason: 'not configured' };
+      let output;
+      try {
+        output = execFileSync('/bin/sh', ['-c', command], {
+          encoding: 'utf-8',
+          stdio: ['ignore', 'pipe', 'pipe'],
+          timeout: 10000,
+        });
+      } catch (error) {
+        return { reason: describeExecError(error, 'command failed') };
+      }
+      const credentials = parseCredentialPayload(output);
+      return credentials ? { credentials, detail: command } : { reason: 'no token in output' };
+    },
+  },
+  keychain: {
+    read: async () => {
+      if (process.platform !== 'darwin') return { reason: 'macOS only' };
+      const service = getSettings().keychainService || DEFAULT_KEYCHAIN_SERVICE;
+      let output;
+      try {
+        output = execFileSync('security', ['find-generic-password', '-s', service, '-w'], {
+          encoding: 'utf-8',
+          stdio: ['ignore', 'pipe', 'pipe'],
+        });
+      } catch (error) {
+        return { reason: describeExecError(error, 'item not found or access denied') };
+      }
+      const credentials = parseCredentialPayload(output);
+      return credentials ? { credentials, detail: service } : { reason: 'no token in item' };
+    },
+    write: async (credentials) => {
+      const service = credentials.detail || DEFAULT_KEYCHAIN_SERVICE;
+      const account = readKeychainAccount(service);
+      // The payload holds the tokens, so it goes through `security -i` on stdin instead of argv,
+      // where any local user could read it with ps.
+      const command = [
+        'add-generic-password',
+        '-U',
+        '-s',
+        quoteSecurityArg(service),
+        '-a',
+        quoteSecurityArg(account),
+        '-w',
+        quoteSecurityArg(JSON.stringify(buildCredentialPayload(credentials))),
+      ].join(' ');
+      const result = spawnSync('security', ['-i'], {
+        input: `${command}\n`,
+        encoding: 'utf-8',
+        timeout: 10000,
+      });
+      // Interactive mode reports a failed command on stderr without changing the exit status.
+      const failure = result.error?.message || result.stderr?.trim();
+      if (failure || result.status !== 0) {
+        throw new Error(failure || `security exited with status ${result.status}`);
+      }
+    },
+  },
+  file: {
+    read: async () => {
+      let reason = 'not found';
+      for (const credPath of getCredentialFilePaths()) {
+        let content;
+        try {
+          content = await readFile(credPath, 'utf-8');
+        } catch {
+          continue;
+        }
+        const credentials = parseCredentialPayload(content);
+        if (credentials) return { credentials, detail: credPath };
+        reason = 'no token in file';
+      }
+      return { reason };
+    },
+    write: async (credentials) => {
+      await writeJsonAtomic(credentials.detail, buildCredentialPayload(credentials));
+    },
+  },
+  'secret-tool': {
+    read: async () => {
+      let output;
+      try {
+        output = execFileSync('secret-tool', ['lookup', ...getSecretToolAttributes()], {
+          encoding: 'utf-8',
+          stdio: ['ignore', 'pipe', 'pipe'],
+          timeout: 10000,
+        });
+      } catch (error) {
+        return { reason: describeExecError(error, 'no matching secret') };
+      }
+      const credentials = parseCredentialPayload(output);
+      return credentials ? { credentials, detail: 'libsecret' } : { reason: 'no token in secret' };
+    },
+    write: async (credentials) => {
+      execFileSync(
+        'secret-tool',
+        ['store', `--label=${DEFAULT_KEYCHAIN_SERVICE}`, ...getSecretToolAttributes()],
+        {
+          input: JSON.stringify(buildCredentialPayload(credentials)),
+          stdio: ['pipe', 'pipe', 'pipe'],
+          timeout: 10000,
+        }
+      );
+    },
+  },
+};
+
+export const CREDENTIAL_PROVIDER_NAMES = Object.keys(CREDENTIAL_PROVIDERS);
+
+export function getCredentialProviderOrder() {
+  const settings = getSettings();
+  if (settings.credentialProviders.length) return settings.credentialProviders;
 
-      const creds = JSON.parse(result);
-      return creds?.claudeAiOauth?.accessToken ?? null;
+  const order = [];
+  if (process.env[settings.tokenEnv || DEFAULT_TOKEN_ENV]) order.push('env');
+  if (settings.credentialCommand) order.push('command');
+  if (process.platform === 'darwin') order.push('keychain', 'file');
+  else order.push('file', 'secret-tool');
+  return order;
+}
+
+export async function resolveOAuthCredentials() {
+  const attempts = [];
+  for (const name of getCredentialProviderOrder()) {
+    const provider = CREDENTIAL_PROVIDERS[name];
+    if (!provider) {
+      attempts.push({ provider: name, reason: 'unknown provider' });
+      continue;
     }
-  } catch {
-    // fall back to file
+    let result;
+    try {
+      result = await provider.read();
+    } catch (error) {
+      result = { reason: error?.message || 'error' };
+    }
+    if (result?.credentials?.token) {
+      return { ...result.credentials, provider: name, detail: result.detail, attempts };
+    }
+    attempts.push({ provider: name, reason: result?.reason || 'no token' });
   }
+  return { token: null, refreshToken: null, expiresAt: null, provider: null, detail: null, attempts };
+}
 
+export async function getOAuthToken() {
+  const credentials = await resolveOAuthCredentials();
+  return credentials.token;
+}
+
+export function getApiBaseUrl() {
+  return (getSettings().apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+function getApiTimeoutMs() {
+  return getSettings().apiTimeoutMs || DEFAULT_API_TIMEOUT_MS;
+}
+
+function isNoProxyHost(hostname) {
+  const noProxy = process.env.NO_PROXY || process.env.no_proxy || '';
+  for (const raw of noProxy.split(',')) {
+    const entry = raw.trim().toLowerCase().replace(/^\*?\./, '');
+    if (!entry) continue;
+    if (entry === '*' || hostname === entry || hostname.endsWith(`.${entry}`)) return true;
+  }
+  return false;
+}
+
+function getProxyUrl(target) {
+  const explicit = getSettings().apiProxy;
+  const fromEnv =
+    target.protocol === 'https:'
+      ? process.env.HTTPS_PROXY || process.env.https_proxy
+      : process.env.HTTP_PROXY || process.env.http_proxy;
+  const value = explicit || fromEnv;
+  if (!value) return null;
+  if (!explicit && isNoProxyHost(target.hostname.toLowerCase())) return null;
+  return new URL(value);
+}
+
+function getProxyAuthHeader(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+function openProxyTunnel(proxy, target) {
+  return new Promise((resolve, reject) => {
+    const authority = `${target.hostname}:${target.port || 443}`;
+    const req = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: authority,
+      headers: { Host: authority, ...getProxyAuthHeader(proxy) },
+    });
+    req.once('connect', (res, socket) => {
+      if (res.statusCode === 200) {
+        resolve(socket);
+      } else {
+        socket.destroy();
+        reject(new Error(`proxy_${res.statusCode}`));
+      }
+    });
+    req.once('error', reject);
+    req.end();
+  });
+}
+
+// Minimal fetch-like client so API calls get a timeout and HTTP(S) proxy support without dependencies.
+export function apiRequest(url, options = {}) {
+  const target = new URL(url);
+  const timeoutMs = options.timeoutMs ?? getApiTimeoutMs();
+  const proxy = getProxyUrl(target);
+  const isHttps = target.protocol === 'https:';
+  const body = options.body ?? null;
+  const headers = { ...(options.headers || {}) };
+  if (body) headers['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    let req = null;
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (req) req.destroy();
+      reject(error);
+    };
+    const timer = setTimeout(() => fail(new Error('timeout')), timeoutMs);
+
+    const send = (requestOptions, transport) => {
+      req = transport.request(requestOptions, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('error', fail);
+        res.on('end', () => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          const text = Buffer.concat(chunks).toString('utf-8');
+          resolve({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            status: res.statusCode,
+            text: async () => text,
+            json: async () => JSON.parse(text),
+          });
+        });
+      });
+      req.on('error', fail);
+      if (body) req.write(body);
+      req.end();
+    };
+
+    const requestOptions = {
+      method: options.method || 'GET',
+      hostname: target.hostname,
+      port: target.port || (isHttps ? 443 : 80),
+      path: `${target.pathname}${target.search}`,
+      headers,
+    };
+
+    if (!proxy) {
+      send(requestOptions, isHttps ? https : http);
+    } else if (!isHttps) {
+      send(
+        {
+          ...requestOptions,
+          hostname: proxy.hostname,
+          port: proxy.port || 80,
+          path: target.href,
+          headers: { ...headers, Host: target.host, ...getProxyAuthHeader(proxy) },
+        },
+        http
+      );
+    } else {
+      openProxyTunnel(proxy, target)
+        .then((socket) => {
+          if (settled) {
+            socket.destroy();
+            return;
+          }
+          send(
+            {
+              ...requestOptions,
+              createConnection: () => tls.connect({ socket, servername: target.hostname }),
+            },
+            https
+          );
+        })
+        .catch(fail);
+    }
+  });
+}
+
+const REFRESH_LOCK_FILE = 'oauth-refresh.lock';
+const REFRESH_LOCK_SLACK_MS = 5 * 1000;
+
+function isCredentialExpired(credentials) {
+  const expiresAt = Number(credentials?.expiresAt);
+  return Number.isFinite(expiresAt) && expiresAt > 0 && expiresAt <= Date.now();
+}
+
+// Refresh tokens are single-use and the menu, the keeper, the bar pollers and the status server
+// all refresh on their own, so the exchange runs under a lock next to the credentials.
+function getRefreshLockPath(credentials) {
+  if (credentials.provider === 'file' && credentials.detail) return `${credentials.detail}.lock`;
+  return path.join(getProfileCacheDir(), REFRESH_LOCK_FILE);
+}
+
+export async function refreshOAuthCredentials(credentials) {
+  if (!credentials?.refreshToken) return { ok: false, reason: 'no_refresh_token' };
+
+  const lockTimeoutMs = getApiTimeoutMs() + REFRESH_LOCK_SLACK_MS;
+  const lock = await acquireFileLock(getRefreshLockPath(credentials), {
+    staleMs: lockTimeoutMs,
+    timeoutMs: lockTimeoutMs,
+  });
+  if (!lock) return { ok: false, reason: 'refresh_locked' };
   try {
-    const credPath = path.join(os.homedir(), '.claude', '.credentials.json');
-    const content = await readFile(credPath, 'utf-8');
-    const creds = JSON.parse(content);
-    return creds?.claudeAiOauth?.accessToken ?? null;
+    // Another process may have refreshed while this one waited; its token is the valid one now.
+    const current = await resolveOAuthCredentials();
+    if (current.token && current.token !== credentials.token && !isCredentialExpired(current)) {
+      return { ok: true, credentials: current, persisted: true, reused: true };
+    }
+    // The Keychain and Secret Service reads block the heartbeat; if that let another process take
+    // the lock over, it may be spending the same refresh token right now.
+    if (!isFileLockHeld(lock)) return { ok: false, reason: 'refresh_locked' };
+    return await exchangeRefreshToken(current.refreshToken ? current : credentials);
+  } finally {
+    releaseFileLock(lock);
+  }
+}
+
+async function exchangeRefreshToken(credentials) {
+  let data;
+  try {
+    const response = await apiRequest(getSettings().oauthTokenUrl || DEFAULT_OAUTH_TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'User-Agent': 'claude-dashboard/active-session-keeper',
+      },
+      body: JSON.stringify({
+        grant_type: 'refresh_token',
+        refresh_token: credentials.refreshToken,
+        client_id: getSettings().oauthClientId || DEFAULT_OAUTH_CLIENT_ID,
+      }),
+    });
+    if (!response.ok) return { ok: false, reason: `http_${response.status}` };
+    data = await response.json();
   } catch {
-    return null;
+    return { ok: false, reason: 'network_error' };
+  }
+  if (!data?.access_token) return { ok: false, reason: 'invalid_response' };
+
+  const expiresIn = Number(data.expires_in);
+  const next = {
+    ...credentials,
+    token: data.access_token,
+    refreshToken: data.refresh_token || credentials.refreshToken,
+    expiresAt: Number.isFinite(expiresIn) ? Date.now() + expiresIn * 1000 : null,
+  };
+
+  let persisted = false;
+  const provider = CREDENTIAL_PROVIDERS[credentials.provider];
+  if (provider?.write) {
+    try {
+      await provider.write(next);
+      persisted = true;
+    } catch {
+      // keep using the refreshed token for this process only
+    }
+  }
+  return { ok: true, credentials: next, persisted };
+}
+
+async function requestOAuthJson(url, token) {
+  const response = await apiRequest(url, {
+    method: 'GET',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      'User-Agent': 'claude-dashboard/active-session-keeper',
+      Authorization: `Bearer ${token}`,
+      'anthropic-beta': 'oauth-2025-04-20',
+    },
+  });
+
+  if (!response.ok) {
+    let errorCode = null;
+    try {
+      const payload = await response.json();
+      errorCode = extractErrorCode(payload);
+    } catch {
+      // ignore
+    }
+    return { ok: false, status: response.status, errorCode };
   }
+
+  return { ok: true, data: await response.json() };
 }
 
 async function readDashboardCache(maxAgeMinutes, allowStale) {
@@ -331,9 +1662,9 @@ async function readDashboardCache(maxAgeMinutes, allowStale) {
 
 export async function writeLimitsCache(limits) {
   try {
-    await mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
+    await mkdir(getProfileCacheDir(), { recursive: true, mode: 0o700 });
     await writeFile(
-      LIMITS_CACHE_PATH,
+      path.join(getProfileCacheDir(), LIMITS_CACHE_FILE),
       JSON.stringify({ timestamp: Date.now(), limits }, null, 2),
       { mode: 0o600 }
     );
@@ -342,11 +1673,138 @@ export async function writeLimitsCache(limits) {
   }
 }
 
+export function getLimitsSeriesPath() {
+  return path.join(getProfileCacheDir(), LIMITS_SERIES_FILE);
+}
+
+function toResetMs(value) {
+  const ms = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function toUtilization(limit) {
+  const value = limit?.utilization;
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function parseLimitsSample(line) {
+  try {
+    const [at, fiveHour, fiveHourResetsAt, sevenDay, sevenDayResetsAt] = JSON.parse(line);
+    if (typeof at !== 'number') return null;
+    return { at, fiveHour, fiveHourResetsAt, sevenDay, sevenDayResetsAt };
+  } catch {
+    return null;
+  }
+}
+
+function formatLimitsSample(sample) {
+  return JSON.stringify([
+    sample.at,
+    sample.fiveHour,
+    sample.fiveHourResetsAt,
+    sample.sevenDay,
+    sample.sevenDayResetsAt,
+  ]);
+}
+
+// Samples oldest first; each line is [time, 5h utilization, 5h resets_at, 7d utilization,
+// 7d resets_at] with times in epoch ms.
+export async function readLimitsSeries(since = 0) {
+  try {
+    const raw = await readFile(getLimitsSeriesPath(), 'utf-8');
+    return raw
+      .split('\n')
+      .map(parseLimitsSample)
+      .filter((sample) => sample && sample.at >= since)
+      .sort((a, b) => a.at - b.at);
+  } catch {
+    return [];
+  }
+}
+
+// Raw samples are kept for two days. Older ones are merged into one sample per hour (the highest
+// utilization and the latest resets_at) and dropped after 30 days.
+async function compactLimitsSeries(now, lock) {
+  const samples = await readLimitsSeries(now - LIMITS_SERIES_KEEP_MS);
+  const hourly = new Map();
+  const raw = [];
+  for (const sample of samples) {
+    if (sample.at >= now - LIMITS_SERIES_RAW_KEEP_MS) {
+      raw.push(sample);
+      continue;
+    }
+    const hour = Math.floor(sample.at / HOUR_MS) * HOUR_MS;
+    const merged = hourly.get(hour);
+    const max = (a, b) => (a === null ? b : b === null ? a : Math.max(a, b));
+    hourly.set(
+      hour,
+      merged
+        ? {
+            at: hour,
+            fiveHour: max(merged.fiveHour, sample.fiveHour),
+            fiveHourResetsAt: sample.fiveHourResetsAt ?? merged.fiveHourResetsAt,
+            sevenDay: max(merged.sevenDay, sample.sevenDay),
+            sevenDayResetsAt: sample.sevenDayResetsAt ?? merged.sevenDayResetsAt,
+          }
+        : { ...sample, at: hour }
+    );
+  }
+  const lines = [...hourly.values(), ...raw].map(formatLimitsSample);
+  // Lost the lock while reading: a sample appended since would be dropped by the rewrite.
+  if (!isFileLockHeld(lock)) return;
+  const filePath = getLimitsSeriesPath();
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, lines.length ? `${lines.join('\n')}\n` : '', { mode: 0o600 });
+  await rename(tmpPath, filePath);
+  await writeFile(`${filePath}.compacted`, String(now), { mode: 0o600 });
+}
+
+// Retention runs at most once an hour; the marker holds the time of the last run. A missing or
+// unreadable marker, or one from the future (clock set back), makes it due.
+async function isLimitsSeriesCompactDue(now) {
+  try {
+    const compactedAt = Number(await readFile(`${getLimitsSeriesPath()}.compacted`, 'utf-8'));
+    if (!Number.isFinite(compactedAt) || compactedAt > now) return true;
+    return now - compactedAt >= LIMITS_SERIES_COMPACT_MS;
+  } catch {
+    return true;
+  }
+}
+
+export async function appendLimitsSample(limits, at = Date.now()) {
+  const sample = {
+    at,
+    fiveHour: toUtilization(limits?.five_hour),
+    fiveHourResetsAt: toResetMs(limits?.five_hour?.resets_at),
+    sevenDay: toUtilization(limits?.seven_day),
+    sevenDayResetsAt: toResetMs(limits?.seven_day?.resets_at),
+  };
+  if (sample.fiveHour === null && sample.sevenDay === null) return;
+  const filePath = getLimitsSeriesPath();
+  let lock = null;
+  try {
+    await mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    // Appends and compaction share a lock, so a rewrite never drops a sample appended meanwhile.
+    // A sample that cannot take the lock in time is skipped; the next refresh adds another.
+    lock = await acquireFileLock(`${filePath}.lock`, {
+      staleMs: LIMITS_SERIES_LOCK_STALE_MS,
+      timeoutMs: LIMITS_SERIES_LOCK_TIMEOUT_MS,
+    });
+    if (!lock) return;
+    await appendFile(filePath, `${formatLimitsSample(sample)}\n`, { mode: 0o600 });
+    if (await isLimitsSeriesCompactDue(at)) await compactLimitsSeries(at, lock);
+  } catch {
+    // ignore
+  } finally {
+    releaseFileLock(lock);
+  }
+}
+
 async function writeExtraUsageCache(enabled) {
   try {
-    await mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
+    await mkdir(getProfileCacheDir(), { recursive: true, mode: 0o700 });
     await writeFile(
-      EXTRA_USAGE_CACHE_PATH,
+      path.join(getProfileCacheDir(), EXTRA_USAGE_CACHE_FILE),
       JSON.stringify({ timestamp: Date.now(), enabled }, null, 2),
       { mode: 0o600 }
     );
@@ -357,7 +1815,7 @@ async function writeExtraUsageCache(enabled) {
 
 async function readExtraUsageCache(maxAgeMinutes, allowStale) {
   try {
-    const raw = await readFile(EXTRA_USAGE_CACHE_PATH, 'utf-8');
+    const raw = await readFile(path.join(getProfileCacheDir(), EXTRA_USAGE_CACHE_FILE), 'utf-8');
     const payload = JSON.parse(raw);
     const ts = typeof payload.timestamp === 'number' ? payload.timestamp : null;
     const enabled = payload.enabled;
@@ -374,7 +1832,7 @@ async function readExtraUsageCache(maxAgeMinutes, allowStale) {
 
 async function readLimitsCache(maxAgeMinutes, allowStale) {
   try {
-    const raw = await readFile(LIMITS_CACHE_PATH, 'utf-8');
+    const raw = await readFile(path.join(getProfileCacheDir(), LIMITS_CACHE_FILE), 'utf-8');
     const payload = JSON.parse(raw);
     const ts = typeof payload.timestamp === 'number' ? payload.timestamp : null;
     const limits = payload.limits ?? null;
@@ -385,6 +1843,8 @@ async function readLimitsCache(maxAgeMinutes, allowStale) {
     if (stale && !allowStale) return null;
     return { limits, stale, ageMinutes: Math.round(ageMs / 60000) };
   } catch {
+    // The dashboard's cache-*.json files do not say which account they belong to.
+    if (getActiveProfileName()) return null;
     return await readDashboardCache(maxAgeMinutes, allowStale);
   }
 }
@@ -409,70 +1869,61 @@ export async function fetchUsageLimits(options = {}) {
       ? options.maxAgeMinutes
       : DEFAULT_LIMITS_CACHE_MINUTES;
 
-  const token = await getOAuthToken();
-  if (!token) {
-    if (!allowCache) return null;
-    const cached = await readLimitsCache(maxAgeMinutes, allowStale);
+  const refreshExpired =
+    typeof options.refreshExpired === 'boolean' ? options.refreshExpired : true;
+
+  let credentials = await resolveOAuthCredentials();
+  const auth = {
+    provider: credentials.provider,
+    detail: credentials.detail,
+    attempts: credentials.attempts,
+    refresh: null,
+  };
+  // Without the cache a failure still comes back with its error code, so callers that need live
+  // limits can tell an expired token from an unreachable API.
+  const fallback = async (errorCode) => {
+    const cached = allowCache ? await readLimitsCache(maxAgeMinutes, allowStale) : null;
     return cached
       ? {
           limits: cached.limits,
           stale: cached.stale,
           ageMinutes: cached.ageMinutes,
-          errorCode: 'token_missing',
+          errorCode,
+          auth,
         }
-      : { limits: null, stale: false, ageMinutes: null, errorCode: 'token_missing' };
-  }
+      : { limits: null, stale: false, ageMinutes: null, errorCode, auth };
+  };
 
-  try {
-    const response = await fetch('https://api.anthropic.com/api/oauth/usage', {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-        'User-Agent': 'claude-dashboard/active-session-keeper',
-        Authorization: `Bearer ${token}`,
-        'anthropic-beta': 'oauth-2025-04-20',
-      },
-    });
+  if (!credentials.token) return await fallback('token_missing');
 
-    if (!response.ok) {
-      let errorCode = null;
-      try {
-        const payload = await response.json();
-        errorCode = extractErrorCode(payload);
-      } catch {
-        // ignore
-      }
-      if (!allowCache) return null;
-      const cached = await readLimitsCache(maxAgeMinutes, allowStale);
-      return cached
-        ? {
-            limits: cached.limits,
-            stale: cached.stale,
-            ageMinutes: cached.ageMinutes,
-            errorCode,
-          }
-        : { limits: null, stale: false, ageMinutes: null, errorCode };
+  const refresh = async () => {
+    const result = await refreshOAuthCredentials(credentials);
+    auth.refresh = { ok: result.ok, reason: result.reason || null, persisted: !!result.persisted };
+    if (result.ok) credentials = result.credentials;
+    return result.ok;
+  };
+
+  try {
+    const usageUrl = `${getApiBaseUrl()}/api/oauth/usage`;
+    if (refreshExpired && isCredentialExpired(credentials)) await refresh();
+    let result = await requestOAuthJson(usageUrl, credentials.token);
+    const expired = !result.ok && (result.errorCode === 'token_expired' || result.status === 401);
+    if (expired && refreshExpired && !auth.refresh && (await refresh())) {
+      result = await requestOAuthJson(usageUrl, credentials.token);
     }
 
-    const data = await response.json();
+    if (!result.ok) return await fallback(result.errorCode);
+
+    const data = result.data;
     const limits = {
       five_hour: data.five_hour ?? null,
       seven_day: data.seven_day ?? null,
     };
     await writeLimitsCache(limits);
-    return { limits, stale: false, ageMinutes: 0, errorCode: null };
+    await appendLimitsSample(limits);
+    return { limits, stale: false, ageMinutes: 0, errorCode: null, auth };
   } catch {
-    if (!allowCache) return null;
-    const cached = await readLimitsCache(maxAgeMinutes, allowStale);
-    return cached
-      ? {
-          limits: cached.limits,
-          stale: cached.stale,
-          ageMinutes: cached.ageMinutes,
-          errorCode: 'network_error',
-        }
-      : { limits: null, stale: false, ageMinutes: null, errorCode: 'network_error' };
+    return await fallback('network_error');
   }
 }
 
@@ -486,8 +1937,7 @@ export async function fetchExtraUsageStatus(options = {}) {
       ? options.maxAgeMinutes
       : DEFAULT_EXTRA_USAGE_CACHE_MINUTES;
 
-  const token = await getOAuthToken();
-  if (!token) {
+  const fallback = async (errorCode) => {
     if (!allowCache) return null;
     const cached = await readExtraUsageCache(maxAgeMinutes, allowStale);
     return cached
@@ -495,71 +1945,27 @@ export async function fetchExtraUsageStatus(options = {}) {
           enabled: cached.enabled,
           stale: cached.stale,
           ageMinutes: cached.ageMinutes,
-          errorCode: 'token_missing',
+          errorCode,
         }
-      : { enabled: null, stale: false, ageMinutes: null, errorCode: 'token_missing' };
-  }
+      : { enabled: null, stale: false, ageMinutes: null, errorCode };
+  };
 
-  try {
-    const response = await fetch('https://api.anthropic.com/api/oauth/profile', {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-        'User-Agent': 'claude-dashboard/active-session-keeper',
-        Authorization: `Bearer ${token}`,
-        'anthropic-beta': 'oauth-2025-04-20',
-      },
-    });
+  const token = await getOAuthToken();
+  if (!token) return await fallback('token_missing');
 
-    if (!response.ok) {
-      let errorCode = null;
-      try {
-        const payload = await response.json();
-        errorCode = extractErrorCode(payload);
-      } catch {
-        // ignore
-      }
-      if (!allowCache) return null;
-      const cached = await readExtraUsageCache(maxAgeMinutes, allowStale);
-      return cached
-        ? {
-            enabled: cached.enabled,
-            stale: cached.stale,
-            ageMinutes: cached.ageMinutes,
-            errorCode,
-          }
-        : { enabled: null, stale: false, ageMinutes: null, errorCode };
-    }
+  try {
+    const result = await requestOAuthJson(`${getApiBaseUrl()}/api/oauth/profile`, token);
+    if (!result.ok) return await fallback(result.errorCode);
 
-    const data = await response.json();
-    const enabled = data?.organization?.has_extra_usage_enabled;
+    const enabled = result.data?.organization?.has_extra_usage_enabled;
     if (typeof enabled === 'boolean') {
       await writeExtraUsageCache(enabled);
       return { enabled, stale: false, ageMinutes: 0, errorCode: null };
     }
 
-    if (!allowCache) return null;
-    const cached = await readExtraUsageCache(maxAgeMinutes, allowStale);
-    return cached
-      ? {
-          enabled: cached.enabled,
-          stale: cached.stale,
-          ageMinutes: cached.ageMinutes,
-          errorCode: null,
-        }
-      : { enabled: null, stale: false, ageMinutes: null, errorCode: null };
+    return await fallback(null);
   } catch {
-    if (!allowCache) return null;
-    const cached = await readExtraUsageCache(maxAgeMinutes, allowStale);
-    return cached
-      ? {
-          enabled: cached.enabled,
-          stale: cached.stale,
-          ageMinutes: cached.ageMinutes,
-          errorCode: 'network_error',
-        }
-      : { enabled: null, stale: false, ageMinutes: null, errorCode: 'network_error' };
+    return await fallback('network_error');
   }
 }
 
@@ -572,24 +1978,156 @@ export function limitOk(limit) {
   );
 }
 
-export async function readState() {
+export const STATE_VERSION = 3;
+const BUDGET_PERIODS = ['day', 'week', 'month'];
+const BUDGET_ALERT_LEVELS = ['warning', 'critical'];
+const STATE_HISTORY_KEEP = 20;
+const STATE_LOCK_STALE_MS = 10 * 1000;
+const STATE_LOCK_TIMEOUT_MS = 5 * 1000;
+
+export function createEmptyState() {
+  return {
+    version: STATE_VERSION,
+    stopped: false,
+    pauseUntil: null,
+    lastLaunch: null,
+    lastReauthOpen: null,
+    history: [],
+    helloStats: { success: 0, unconfirmed: 0, failure: 0 },
+    lastHelloResult: null,
+    budgetAlerts: {},
+  };
+}
+
+function toTimestamp(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function toCount(value) {
+  return Number.isInteger(value) && value >= 0 ? value : 0;
+}
+
+// Version 1 had no version field. It stored --stop as stopUntil = Infinity, which JSON writes as
+// null, so any stopUntil key means the keepalive was stopped.
+function migrateState(raw) {
+  if (raw.version !== undefined) return raw;
+  const { stopUntil, ...rest } = raw;
+  return { ...rest, version: 2, stopped: 'stopUntil' in raw };
+}
+
+// Unknown keys and values of the wrong type are dropped instead of carried along.
+export function normalizeState(raw) {
+  const state = createEmptyState();
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return state;
+  const input = migrateState(raw);
+  state.stopped = input.stopped === true;
+  state.pauseUntil = toTimestamp(input.pauseUntil);
+  state.lastLaunch = toTimestamp(input.lastLaunch);
+  state.lastReauthOpen = toTimestamp(input.lastReauthOpen);
+  if (Array.isArray(input.history)) {
+    state.history = input.history.map(toTimestamp).filter(Boolean).slice(-STATE_HISTORY_KEEP);
+  }
+  if (input.helloStats && typeof input.helloStats === 'object') {
+    state.helloStats = {
+      success: toCount(input.helloStats.success),
+      unconfirmed: toCount(input.helloStats.unconfirmed),
+      failure: toCount(input.helloStats.failure),
+    };
+  }
+  const result = input.lastHelloResult;
+  if (result && typeof result === 'object' && !Array.isArray(result) && toTimestamp(result.at)) {
+    state.lastHelloResult = result;
+  }
+  // Version 3 added budgetAlerts: the highest threshold already announced per budget period.
+  for (const period of BUDGET_PERIODS) {
+    const alert = input.budgetAlerts?.[period];
+    if (typeof alert?.key === 'string' && BUDGET_ALERT_LEVELS.includes(alert.level)) {
+      state.budgetAlerts[period] = { key: alert.key, level: alert.level };
+    }
+  }
+  return state;
+}
+
+// Only a missing file is an empty state; a file that cannot be parsed throws state_corrupt and
+// one written by a newer version throws state_version_unsupported.
+async function loadStateFile(statePath) {
+  let raw;
+  try {
+    raw = await readFile(statePath, 'utf-8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') return createEmptyState();
+    throw error;
+  }
+  let parsed;
   try {
-    const raw = await readFile(STATE_PATH, 'utf-8');
-    return JSON.parse(raw);
+    parsed = JSON.parse(raw);
   } catch {
-    return null;
+    throw new Error('state_corrupt');
   }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('state_corrupt');
+  }
+  if (typeof parsed.version === 'number' && parsed.version > STATE_VERSION) {
+    throw new Error('state_version_unsupported');
+  }
+  return normalizeState(parsed);
 }
 
-export async function writeState(state) {
+// Display paths fall back to an empty state; updateState never writes over an unreadable file.
+export async function readState() {
   try {
-    await mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
-    await writeFile(STATE_PATH, JSON.stringify(state, null, 2), { mode: 0o600 });
+    return await loadStateFile(getStatePath());
   } catch {
-    // ignore
+    return createEmptyState();
   }
 }
 
+// A corrupt file is moved aside for inspection and the update starts from an empty state; any
+// other read error (including a newer state version) fails the update.
+async function readStateForUpdate(statePath) {
+  try {
+    return await loadStateFile(statePath);
+  } catch (error) {
+    if (error?.message !== 'state_corrupt') throw error;
+    await rename(statePath, `${statePath}.corrupt-${Date.now()}`);
+    return createEmptyState();
+  }
+}
+
+// The menu's pause/resume and the running keeper are separate processes: a lock file next to
+// the state makes each read-modify-write exclusive.
+async function acquireStateLock() {
+  const lock = await acquireFileLock(`${getStatePath()}.lock`, {
+    staleMs: STATE_LOCK_STALE_MS,
+    timeoutMs: STATE_LOCK_TIMEOUT_MS,
+  });
+  if (!lock) throw new Error('state_locked');
+  return lock;
+}
+
+let stateQueue = Promise.resolve();
+
+// mutate receives the current state and returns the next one; the write is temp file + rename.
+export function updateState(mutate) {
+  const run = async () => {
+    const lock = await acquireStateLock();
+    try {
+      const statePath = getStatePath();
+      const current = await readStateForUpdate(statePath);
+      const next = normalizeState({ ...(await mutate(current)), version: STATE_VERSION });
+      // Taken over as stale while mutate ran: another writer may have changed the state since.
+      if (!isFileLockHeld(lock)) throw new Error('state_locked');
+      await writeJsonAtomic(statePath, next);
+      return next;
+    } finally {
+      releaseFileLock(lock);
+    }
+  };
+  const result = stateQueue.then(run, run);
+  stateQueue = result.catch(() => {});
+  return result;
+}
+
 export function formatAge(timestampMs) {
   if (!timestampMs) return 'unknown';
   const deltaMs = Date.now() - timestampMs;
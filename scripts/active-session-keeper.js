@@ -1,17 +1,39 @@
 #!/usr/bin/env node
 
 import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
 import { existsSync } from 'fs';
 import os from 'os';
 import path from 'path';
 import {
-  DEFAULTS,
-  getLatestActivityTimestamp,
+  CONFIG_SCHEMA,
+  findTranscriptFiles,
+  getSearchDirs,
+  readLastTranscriptEntry,
+  listSessions,
+  loadConfig,
+  getSettings,
+  getProfiles,
+  getActiveProfileName,
+  runWithProfile,
   fetchUsageLimits,
   limitOk,
   readState,
-  writeState,
+  updateState,
+  recordSleepInterval,
 } from './active-session-core.js';
+import { startStatusServer } from './status-server.js';
+import { evaluateSchedule, planWindowAlignment } from './schedule.js';
+import { appendEvent, readEventLogTail } from './event-log.js';
+import { evaluateBudgets, hasBudgets, recordBudgetCrossings } from './budget.js';
+import { updateUsageHistory } from './usage-history.js';
+import {
+  acquireKeeperLock,
+  isKeeperProcess,
+  readKeeperStatus,
+  releaseKeeperLock,
+  updateKeeperLock,
+} from './keeper-lock.js';
 
 const VERBOSE = process.env.VERBOSE === '1' || process.env.DEBUG === '1';
 
@@ -21,39 +43,43 @@ function log(...args) {
   }
 }
 
+// Every tick outcome goes to the event log; the console copy stays behind VERBOSE.
+async function recordDecision(decision, message, details = {}) {
+  log(message, details);
+  await appendEvent(decision, details);
+}
+
+function toIso(ms) {
+  return ms && Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
 function parseArgs(argv) {
+  const { config: settings, sources, errors, configPath } = loadConfig({ argv });
   const config = {
+    ...settings,
     once: false,
     dryRun: false,
-    intervalMinutes: DEFAULTS.intervalMinutes,
-    activeMinutes: DEFAULTS.activeMinutes,
-    helloDelaySeconds: DEFAULTS.helloDelaySeconds,
-    cooldownMinutes: DEFAULTS.cooldownMinutes,
-    reauthCooldownMinutes: 60,
     pauseMinutes: null,
     resume: false,
     force: false,
     ignoreUtilization: false,
+    ignoreSchedule: false,
     stop: false,
-    maxDepth: DEFAULTS.maxDepth,
-    tailBytes: DEFAULTS.tailBytes,
-    transcriptPath: null,
+    showConfig: false,
+    serve: false,
+    tailLog: null,
+    status: false,
+    shutdown: false,
+    profile: null,
+    configSources: sources,
+    configErrors: errors,
+    configPath,
   };
 
   for (const arg of argv) {
     if (arg === '--once') config.once = true;
     else if (arg === '--dry-run') config.dryRun = true;
-    else if (arg.startsWith('--interval-minutes=')) {
-      config.intervalMinutes = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--active-minutes=')) {
-      config.activeMinutes = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--hello-delay-seconds=')) {
-      config.helloDelaySeconds = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--cooldown-minutes=')) {
-      config.cooldownMinutes = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--reauth-cooldown-minutes=')) {
-      config.reauthCooldownMinutes = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--pause-minutes=')) {
+    else if (arg.startsWith('--pause-minutes=')) {
       config.pauseMinutes = Number(arg.split('=')[1]);
     } else if (arg === '--resume') {
       config.resume = true;
@@ -61,14 +87,24 @@ function parseArgs(argv) {
       config.force = true;
     } else if (arg === '--ignore-utilization') {
       config.ignoreUtilization = true;
+    } else if (arg === '--ignore-schedule') {
+      config.ignoreSchedule = true;
     } else if (arg === '--stop') {
       config.stop = true;
-    } else if (arg.startsWith('--max-depth=')) {
-      config.maxDepth = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--tail-bytes=')) {
-      config.tailBytes = Number(arg.split('=')[1]);
-    } else if (arg.startsWith('--transcript-path=')) {
-      config.transcriptPath = arg.split('=')[1] || null;
+    } else if (arg === '--show-config') {
+      config.showConfig = true;
+    } else if (arg === '--serve') {
+      config.serve = true;
+    } else if (arg === '--status') {
+      config.status = true;
+    } else if (arg === '--shutdown') {
+      config.shutdown = true;
+    } else if (arg === '--tail-log') {
+      config.tailLog = 20;
+    } else if (arg.startsWith('--tail-log=')) {
+      config.tailLog = Number(arg.split('=')[1]);
+    } else if (arg.startsWith('--profile=')) {
+      config.profile = arg.slice('--profile='.length);
     }
   }
 
@@ -76,7 +112,7 @@ function parseArgs(argv) {
 }
 
 function resolveClaudeCommand() {
-  const envCmd = process.env.CLAUDE_CMD;
+  const envCmd = getSettings().claudeCommand;
   const home = os.homedir();
   const candidates = [
     path.join(home, '.local', 'bin', 'claude'),
@@ -100,7 +136,7 @@ function resolveClaudeCommand() {
 
 function getClaudeCommand() {
   const cmd = resolveClaudeCommand();
-  const argsEnv = process.env.CLAUDE_ARGS || '';
+  const argsEnv = getSettings().claudeArgs || '';
   const args = argsEnv.split(' ').map((s) => s.trim()).filter(Boolean);
   return { cmd, args };
 }
@@ -118,7 +154,7 @@ function resolveCommandInPath(command, extraDirs = []) {
 }
 
 function getClaudeAppName() {
-  return process.env.CLAUDE_APP || 'Claude Code';
+  return getSettings().claudeApp || 'Claude Code';
 }
 
 function launchClaudeApp(dryRun) {
@@ -145,136 +181,431 @@ function launchClaudeApp(dryRun) {
   });
 }
 
-function launchClaudeHello(delaySeconds, dryRun) {
-  const { cmd, args } = getClaudeCommand();
+function getClaudeEnv() {
+  const envPathParts = [
+    process.env.PATH,
+    path.join(os.homedir(), '.local', 'bin'),
+    '/opt/homebrew/bin',
+    '/usr/local/bin',
+    '/usr/bin',
+  ].filter(Boolean);
+  const env = { ...process.env, PATH: Array.from(new Set(envPathParts)).join(':') };
+  // Point claude at the profile's account: its config dir and, if it has one, its token.
+  if (getActiveProfileName()) {
+    const settings = getSettings();
+    if (settings.claudeConfigDirs.length) env.CLAUDE_CONFIG_DIR = settings.claudeConfigDirs[0];
+    const defaultTokenEnv = CONFIG_SCHEMA.tokenEnv.default;
+    if (settings.tokenEnv !== defaultTokenEnv && process.env[settings.tokenEnv]) {
+      env[defaultTokenEnv] = process.env[settings.tokenEnv];
+    }
+  }
+  return env;
+}
 
-  if (dryRun) {
-    log('DRY RUN: would spawn', cmd, args.join(' '));
-    return Promise.resolve(true);
+const RESPONSE_MAX_CHARS = 200;
+const OUTPUT_MAX_BYTES = 64 * 1024;
+const KILL_GRACE_MS = 5000;
+
+// Hello processes run in their own process group and are tracked, so stopping the keeper (signal,
+// --shutdown or the end of a --once run) takes them and anything they started along.
+const helloChildren = new Set();
+
+function trackHelloChild(child) {
+  helloChildren.add(child);
+  const forget = () => helloChildren.delete(child);
+  child.once('close', forget);
+  child.once('error', forget);
+}
+
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // ignore
   }
+}
+
+function stopHelloChildren() {
+  for (const child of helloChildren) killProcessGroup(child, 'SIGTERM');
+}
+
+function launchClaudeStdin(config) {
+  const { cmd, args } = getClaudeCommand();
 
   return new Promise((resolve) => {
-    const envPathParts = [
-      process.env.PATH,
-      path.join(os.homedir(), '.local', 'bin'),
-      '/opt/homebrew/bin',
-      '/usr/local/bin',
-      '/usr/bin',
-    ].filter(Boolean);
-    const env = { ...process.env, PATH: Array.from(new Set(envPathParts)).join(':') };
     const child = spawn(cmd, args, {
       stdio: ['pipe', 'ignore', 'ignore'],
       detached: true,
-      env,
+      env: getClaudeEnv(),
     });
 
     let resolved = false;
-    const finish = (ok) => {
+    const finish = (outcome) => {
       if (resolved) return;
       resolved = true;
-      resolve(ok);
+      resolve({ strategy: 'stdin', ...outcome });
     };
 
-    child.once('spawn', () => finish(true));
+    child.stdin.on('error', () => {
+      // ignore: claude exited before reading the hello
+    });
+    child.once('spawn', () => finish({ ok: true }));
     child.once('error', (error) => {
       log('Failed to spawn claude.', { error: error?.message || String(error) });
-      finish(false);
+      finish({ ok: false, error: error?.message || String(error) });
     });
 
+    trackHelloChild(child);
+
     setTimeout(() => {
       try {
-        child.stdin.write('hello\n');
+        child.stdin.write(`${config.helloPrompt}\n`);
         child.stdin.end();
       } catch {
         // ignore
       }
-    }, delaySeconds * 1000);
+    }, config.helloDelaySeconds * 1000);
+
+    // Interactive claude does not exit after answering, so it is stopped once the hello had
+    // helloTimeoutSeconds to go out.
+    let killTimer = null;
+    const stopTimer = setTimeout(
+      () => {
+        killProcessGroup(child, 'SIGTERM');
+        killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+      },
+      (config.helloDelaySeconds + config.helloTimeoutSeconds) * 1000
+    );
+    child.once('close', () => {
+      clearTimeout(stopTimer);
+      clearTimeout(killTimer);
+    });
 
     child.unref();
   });
 }
 
+function truncateText(text, maxChars) {
+  const trimmed = text.trim();
+  return trimmed.length > maxChars ? `${trimmed.slice(0, maxChars)}…` : trimmed;
+}
+
+// Runs `claude -p` to completion so the hello's exit code and reply can be recorded.
+function launchClaudeHeadless(config) {
+  const { cmd, args } = getClaudeCommand();
+  // A known session id lets verification find this run's transcript.
+  const sessionId = randomUUID();
+  const headlessArgs = [
+    ...args,
+    '-p',
+    config.helloPrompt,
+    '--max-turns',
+    String(config.helloMaxTurns),
+    '--session-id',
+    sessionId,
+  ];
+  if (config.helloModel) headlessArgs.push('--model', config.helloModel);
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    // Own process group, so a timeout also kills anything claude started.
+    const child = spawn(cmd, headlessArgs, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true,
+      env: getClaudeEnv(),
+    });
+    trackHelloChild(child);
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let resolved = false;
+
+    const collect = (current, chunk) =>
+      current.length < OUTPUT_MAX_BYTES ? current + chunk.toString('utf-8') : current;
+    child.stdout.on('data', (chunk) => {
+      stdout = collect(stdout, chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = collect(stderr, chunk);
+    });
+
+    let killTimer = null;
+    const timeoutTimer = setTimeout(() => {
+      timedOut = true;
+      killProcessGroup(child, 'SIGTERM');
+      killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+    }, config.helloTimeoutSeconds * 1000);
+
+    const finish = (outcome) => {
+      if (resolved) return;
+      resolved = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      resolve({
+        strategy: 'headless',
+        sessionId,
+        durationMs: Date.now() - startedAt,
+        timedOut,
+        response: truncateText(stdout, RESPONSE_MAX_CHARS),
+        ...outcome,
+      });
+    };
+
+    child.once('error', (error) => {
+      log('Failed to spawn claude.', { error: error?.message || String(error) });
+      finish({ ok: false, exitCode: null, error: error?.message || String(error) });
+    });
+    child.once('close', (code, signal) => {
+      const ok = code === 0 && !timedOut;
+      let error = null;
+      if (timedOut) error = 'timeout';
+      else if (!ok) error = truncateText(stderr, RESPONSE_MAX_CHARS) || `exit ${code ?? signal}`;
+      finish({ ok, exitCode: code, signal: signal || null, error });
+    });
+  });
+}
+
+function launchClaudeHello(config) {
+  const strategy = config.launchStrategy;
+  if (config.dryRun) {
+    const { cmd, args } = getClaudeCommand();
+    log('DRY RUN: would send hello', { strategy, cmd, args: args.join(' ') });
+    return Promise.resolve({ ok: true, strategy, dryRun: true });
+  }
+  return strategy === 'stdin' ? launchClaudeStdin(config) : launchClaudeHeadless(config);
+}
+
+const VERIFY_POLL_MS = 5000;
+// Some transcript writers only keep whole seconds.
+const VERIFY_TIMESTAMP_SLACK_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Only a transcript written since the hello counts, and only if its last entry has a real timestamp
+// (not the mtime fallback) at or after it; a headless hello must also show up under its session id.
+async function waitForTranscriptEntry(config, sinceMs, timeoutMs, sessionId = null) {
+  const deadline = Date.now() + timeoutMs;
+  const dirs = getSearchDirs();
+  const notBefore = sinceMs - VERIFY_TIMESTAMP_SLACK_MS;
+  for (;;) {
+    const candidates = config.transcriptPath
+      ? [config.transcriptPath]
+      : (await findTranscriptFiles(dirs, config.maxDepth, notBefore)).map((file) => file.path);
+    for (const filePath of candidates) {
+      const entry = await readLastTranscriptEntry(filePath, config.tailBytes);
+      if (!entry || entry.timestamp < notBefore) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+      return entry.timestamp;
+    }
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) return null;
+    await sleep(Math.min(VERIFY_POLL_MS, remainingMs));
+  }
+}
+
+// A spawned (or even successfully exited) claude does not prove the hello reached the API.
+async function verifyHello(config, sentAt, resetsAtBefore, sessionId) {
+  const verification = {
+    transcriptAt: await waitForTranscriptEntry(
+      config,
+      sentAt,
+      config.verifyTimeoutSeconds * 1000,
+      sessionId
+    ),
+  };
+  let resetsChanged = false;
+  if (config.verifyLimits) {
+    const fresh = await fetchUsageLimits({ allowStale: false, allowCache: false });
+    verification.resetsAtBefore = resetsAtBefore ?? null;
+    verification.resetsAtAfter = fresh?.limits?.five_hour?.resets_at ?? null;
+    resetsChanged =
+      !!verification.resetsAtAfter && verification.resetsAtAfter !== verification.resetsAtBefore;
+  }
+  const confirmed = !!verification.transcriptAt || resetsChanged;
+  return { status: confirmed ? 'confirmed' : 'unconfirmed', verification };
+}
+
+function recordHelloResult(stats, status) {
+  const next = { ...stats };
+  if (status === 'confirmed') next.success += 1;
+  else if (status === 'unconfirmed') next.unconfirmed += 1;
+  else if (status === 'failed') next.failure += 1;
+  return next;
+}
+
 let tickInProgress = false;
+let wakeTickPending = false;
+const plannedTickTimers = new Map();
+
+// The loop only wakes every intervalMinutes; a planned hello between two ticks gets its own timer.
+function armPlannedTick(config, plannedHelloAt) {
+  if (config.once || !plannedHelloAt) return;
+  const delayMs = plannedHelloAt - Date.now();
+  if (delayMs <= 0 || delayMs > config.intervalMinutes * 60 * 1000) return;
+  const name = getActiveProfileName();
+  clearTimeout(plannedTickTimers.get(name));
+  plannedTickTimers.set(
+    name,
+    setTimeout(() => {
+      tick(config, name).catch(() => {});
+    }, delayMs)
+  );
+}
 
-async function tick(config) {
-  if (tickInProgress) return;
+// Without profiles there is one implicit account: [null].
+function selectProfiles(config) {
+  const profiles = getProfiles();
+  if (!profiles.length) return [null];
+  return config.profile ? profiles.filter((profile) => profile.name === config.profile) : profiles;
+}
+
+// Profiles are evaluated one after another, each against its own limits, state and cooldowns.
+// Budgets cover the cost of every profile, so they are checked once per tick.
+async function announceBudgetCrossings(config) {
+  if (!hasBudgets(config)) return;
+  try {
+    await recordBudgetCrossings(evaluateBudgets(config, await updateUsageHistory()), config);
+  } catch {
+    // ignore: announced on a later tick
+  }
+}
+
+async function tick(config, onlyProfile) {
+  if (tickInProgress) {
+    // A wake during a long tick (e.g. a hello still being verified) gets its own pass afterwards.
+    if (config.wake) wakeTickPending = true;
+    return;
+  }
   tickInProgress = true;
 
   try {
-    const state = await readState();
+    for (const profile of selectProfiles(config)) {
+      if (onlyProfile !== undefined && (profile?.name ?? null) !== onlyProfile) continue;
+      await runWithProfile(profile, () =>
+        tickProfile(profile ? { ...config, ...profile.settings } : config)
+      );
+    }
+    const isCommand = config.resume || config.stop || config.pauseMinutes > 0;
+    if (!isCommand) await announceBudgetCrossings(config);
+  } finally {
+    tickInProgress = false;
+    await updateKeeperLock({ lastTickAt: Date.now() });
+  }
+  if (wakeTickPending) {
+    wakeTickPending = false;
+    await tick({ ...config, wake: true });
+  }
+}
+
+async function tickProfile(config) {
+  try {
     if (config.resume) {
-      if (state && typeof state === 'object') {
-        const nextState = { ...state };
-        delete nextState.pauseUntil;
-        delete nextState.stopUntil;
-        await writeState(nextState);
-      }
-      log('Resumed keepalive.');
+      await updateState((state) => ({ ...state, pauseUntil: null, stopped: false }));
+      await recordDecision('resumed', 'Resumed keepalive.');
       return;
     }
     if (config.stop) {
-      const nextState = state && typeof state === 'object' ? { ...state } : {};
-      nextState.stopUntil = Infinity;
-      await writeState(nextState);
-      log('Stopped keepalive.');
+      await updateState((state) => ({ ...state, stopped: true }));
+      await recordDecision('stop-requested', 'Stopped keepalive.');
       return;
     }
     if (config.pauseMinutes && config.pauseMinutes > 0) {
       const pauseUntil = Date.now() + config.pauseMinutes * 60 * 1000;
-      const nextState = state && typeof state === 'object' ? { ...state } : {};
-      nextState.pauseUntil = pauseUntil;
-      await writeState(nextState);
-      log('Paused keepalive.', { minutes: config.pauseMinutes });
+      await updateState((state) => ({ ...state, pauseUntil }));
+      await recordDecision('pause-requested', 'Paused keepalive.', {
+        minutes: config.pauseMinutes,
+        pauseUntil: toIso(pauseUntil),
+      });
       return;
     }
 
-    if (state?.pauseUntil && Date.now() < state.pauseUntil) {
-      log('Keepalive paused; skipping tick.');
+    const state = await readState();
+    if (state.pauseUntil && Date.now() < state.pauseUntil) {
+      await recordDecision('paused', 'Keepalive paused; skipping tick.', {
+        pauseUntil: toIso(state.pauseUntil),
+      });
       return;
     }
-    if (state?.stopUntil === Infinity) {
-      log('Keepalive stopped; skipping tick.');
+    if (state.stopped) {
+      await recordDecision('paused', 'Keepalive stopped; skipping tick.', { stopped: true });
       return;
     }
+    if (!config.force && !config.ignoreSchedule) {
+      const schedule = evaluateSchedule(config);
+      if (!schedule.allowed) {
+        await recordDecision(
+          'skipped-schedule',
+          schedule.reason === 'skip-date'
+            ? 'Skip date in schedule; skipping.'
+            : 'Outside schedule; skipping.',
+          { reason: schedule.reason, nextEligibleAt: toIso(schedule.nextEligibleAt) }
+        );
+        return;
+      }
+    }
 
-    const lastActivity = await getLatestActivityTimestamp(config);
+    const sessions = await listSessions(config, config.activeMinutes);
     const now = Date.now();
-    const activeWindowMs = config.activeMinutes * 60 * 1000;
+    const activeSessions = sessions.filter((session) => session.active);
 
-    if (lastActivity && now - lastActivity <= activeWindowMs) {
-      log('Active session detected, skipping.');
+    if (activeSessions.length) {
+      await recordDecision('skipped-active', 'Active session detected, skipping.', {
+        sessions: activeSessions.map((session) => session.sessionId),
+        lastActivity: toIso(activeSessions[0].lastActivity),
+        activeMinutes: config.activeMinutes,
+      });
       return;
     }
 
-    const limitsInfo = await fetchUsageLimits({
-      allowStale: true,
-      allowCache: true,
-      maxAgeMinutes: 360,
-    });
+    const limitsInfo = config.wake
+      ? await fetchLimitsAfterWake()
+      : await fetchUsageLimits({
+          allowStale: true,
+          allowCache: true,
+          maxAgeMinutes: 360,
+        });
     if (!limitsInfo) {
       if (config.force) {
-        log('Limits unavailable; forcing keepalive.');
+        await recordDecision('forced', 'Limits unavailable; forcing keepalive.', {
+          reason: 'limits-unavailable',
+        });
       } else {
-        log('Unable to fetch limits; skipping.');
+        await recordDecision('skipped-limits', 'Unable to fetch limits; skipping.', {
+          reason: 'unavailable',
+        });
         return;
       }
     }
     if (limitsInfo?.stale) {
       log('Using cached limits (stale).', { ageMinutes: limitsInfo.ageMinutes });
     }
+    if (limitsInfo?.auth?.refresh) {
+      log('OAuth token refresh attempted.', limitsInfo.auth.refresh);
+    }
     const limits = limitsInfo?.limits;
 
+    // Only reached when the refresh-token exchange in fetchUsageLimits did not help.
     if (limitsInfo?.errorCode === 'token_expired' && !config.force) {
       const reauthCooldownMs = config.reauthCooldownMinutes * 60 * 1000;
-      if (state?.lastReauthOpen && now - state.lastReauthOpen < reauthCooldownMs) {
-        log('Re-auth cooldown active; skipping app launch.');
+      if (state.lastReauthOpen && now - state.lastReauthOpen < reauthCooldownMs) {
+        await recordDecision('skipped-cooldown', 'Re-auth cooldown active; skipping app launch.', {
+          reason: 'reauth',
+          lastReauthOpen: toIso(state.lastReauthOpen),
+        });
       } else {
         const opened = await launchClaudeApp(config.dryRun);
         if (opened) {
-          const nextState = state && typeof state === 'object' ? { ...state } : {};
-          nextState.lastReauthOpen = now;
-          await writeState(nextState);
-          log('Opened Claude Code for re-auth.');
+          await updateState((current) => ({ ...current, lastReauthOpen: now }));
+          await recordDecision('reauth-opened', 'Opened Claude Code for re-auth.', {
+            errorCode: limitsInfo.errorCode,
+            provider: limitsInfo.auth?.provider ?? null,
+          });
+        } else {
+          await recordDecision('error', 'Failed to open Claude Code for re-auth.', {
+            errorCode: limitsInfo.errorCode,
+          });
         }
       }
       return;
@@ -284,18 +615,36 @@ async function tick(config) {
     const okSeven = limitOk(limits?.seven_day);
 
     if ((!okFive || !okSeven || limitsInfo?.stale) && !config.force) {
-      log('Rate limits reached or unavailable; skipping.', {
+      await recordDecision('skipped-limits', 'Rate limits reached or unavailable; skipping.', {
+        reason: limitsInfo?.stale ? 'stale' : 'full',
         five_hour: limits?.five_hour?.utilization,
         seven_day: limits?.seven_day?.utilization,
         stale: limitsInfo?.stale,
+        errorCode: limitsInfo?.errorCode ?? null,
       });
       return;
     }
 
+    if (!config.force && !config.ignoreSchedule) {
+      const plan = planWindowAlignment(config, limits?.five_hour, now, {
+        graceMinutes: config.intervalMinutes,
+      });
+      if (plan.configured && !plan.due) {
+        await recordDecision('skipped-plan', 'Waiting for planned hello.', {
+          plannedHelloAt: toIso(plan.plannedHelloAt),
+          expectedResetAt: toIso(plan.expectedResetAt),
+          resets_at: limits?.five_hour?.resets_at ?? null,
+        });
+        armPlannedTick(config, plan.plannedHelloAt);
+        return;
+      }
+    }
+
     if (!config.force && !config.ignoreUtilization) {
       const fiveUtil = Number(limits?.five_hour?.utilization);
       if (Number.isFinite(fiveUtil) && fiveUtil > 0) {
-        log('Recent 5h usage detected; skipping keepalive.', {
+        await recordDecision('skipped-limits', 'Recent 5h usage detected; skipping keepalive.', {
+          reason: 'window-active',
           utilization: fiveUtil,
           resets_at: limits?.five_hour?.resets_at,
         });
@@ -308,39 +657,250 @@ async function tick(config) {
     }
 
     const cooldownMs = config.cooldownMinutes * 60 * 1000;
-    if (state?.lastLaunch && now - state.lastLaunch < cooldownMs) {
-      log('Cooldown active; skipping.');
+    if (state.lastLaunch && now - state.lastLaunch < cooldownMs) {
+      await recordDecision('skipped-cooldown', 'Cooldown active; skipping.', {
+        lastLaunch: toIso(state.lastLaunch),
+        cooldownMinutes: config.cooldownMinutes,
+      });
       return;
     }
 
-    const launched = await launchClaudeHello(config.helloDelaySeconds, config.dryRun);
-    if (!launched) {
-      log('Claude command not available; skipping state update.');
+    const outcome = await launchClaudeHello(config);
+    let result = { at: now, ...outcome, status: outcome.ok ? null : 'failed' };
+    if (outcome.ok && !outcome.dryRun) {
+      const verification = await verifyHello(
+        config,
+        now,
+        limits?.five_hour?.resets_at,
+        outcome.sessionId
+      );
+      result = { ...result, ...verification };
+    }
+    // The hello and its verification can take minutes; updateState applies this to the state as
+    // it is now, including pauses made meanwhile.
+    await updateState((current) => {
+      const next = {
+        ...current,
+        helloStats: recordHelloResult(current.helloStats, result.status),
+        lastHelloResult: result,
+      };
+      if (!outcome.ok) return next;
+      return { ...next, lastLaunch: now, history: [...current.history, now] };
+    });
+    const launchDetails = {
+      force: config.force,
+      dryRun: config.dryRun,
+      five_hour: limits?.five_hour?.utilization,
+      seven_day: limits?.seven_day?.utilization,
+      result,
+    };
+    if (!outcome.ok) {
+      await recordDecision(
+        'hello-failed',
+        'Hello failed; skipping launch state update.',
+        launchDetails
+      );
       return;
     }
-    const history = Array.isArray(state?.history) ? state.history.slice(-19) : [];
-    history.push(now);
-    const nextState = state && typeof state === 'object' ? { ...state } : {};
-    nextState.lastLaunch = now;
-    nextState.history = history;
-    await writeState(nextState);
-    log('Launched Claude with hello prompt.');
-  } finally {
-    tickInProgress = false;
+    await recordDecision('launched', 'Sent hello.', launchDetails);
+  } catch (error) {
+    await recordDecision('error', 'Tick failed.', { message: error?.message || String(error) });
+  }
+}
+
+const WAKE_FETCH_ATTEMPTS = 3;
+const WAKE_FETCH_RETRY_MS = 15 * 1000;
+const WAKE_AUTH_ERRORS = ['token_expired', 'token_missing'];
+
+// Limits cached before the sleep may predate a reset, so after wake only a live answer counts.
+// The network is often not back yet right after wake, hence the retries; an auth error is final
+// and goes on to the re-auth handling.
+async function fetchLimitsAfterWake() {
+  for (let attempt = 1; ; attempt += 1) {
+    const fresh = await fetchUsageLimits({ allowCache: false });
+    if (fresh.limits || WAKE_AUTH_ERRORS.includes(fresh.errorCode)) return fresh;
+    if (attempt >= WAKE_FETCH_ATTEMPTS) return null;
+    log('Limits unavailable after wake; retrying.', { attempt });
+    await sleep(WAKE_FETCH_RETRY_MS);
+  }
+}
+
+const CLOCK_CHECK_MS = 30 * 1000;
+const CLOCK_JUMP_THRESHOLD_MS = 60 * 1000;
+
+// The monotonic clock stops while the machine sleeps and ignores wall-clock changes, so any
+// difference between the two between checks is a sleep (or a manual clock change).
+function startClockWatch(onJump) {
+  let lastWall = Date.now();
+  let lastMono = process.hrtime.bigint();
+  setInterval(() => {
+    const wall = Date.now();
+    const mono = process.hrtime.bigint();
+    const jumpMs = wall - lastWall - Number(mono - lastMono) / 1e6;
+    const from = lastWall;
+    lastWall = wall;
+    lastMono = mono;
+    if (Math.abs(jumpMs) >= CLOCK_JUMP_THRESHOLD_MS) {
+      onJump({ from, to: wall, jumpMs }).catch(() => {});
+    }
+  }, CLOCK_CHECK_MS);
+}
+
+function printKeeperStatus() {
+  const status = readKeeperStatus();
+  console.log(
+    JSON.stringify(
+      {
+        ...status,
+        startedAt: toIso(status.startedAt),
+        lastTickAt: toIso(status.lastTickAt),
+        nextTickAt: toIso(status.nextTickAt),
+      },
+      null,
+      2
+    )
+  );
+}
+
+const SHUTDOWN_WAIT_MS = 10 * 1000;
+
+async function shutdownKeeper() {
+  const status = readKeeperStatus();
+  if (!status.running) {
+    console.log('No keepalive loop is running.');
+    return;
+  }
+  try {
+    process.kill(status.pid, 'SIGTERM');
+  } catch (error) {
+    console.error(`Unable to signal pid ${status.pid}: ${error?.message || error}`);
+    process.exit(1);
   }
+  const deadline = Date.now() + SHUTDOWN_WAIT_MS;
+  while (Date.now() < deadline) {
+    if (!isKeeperProcess(status.pid)) {
+      console.log(`Stopped keepalive loop (pid ${status.pid}).`);
+      return;
+    }
+    await sleep(200);
+  }
+  console.error(`Keepalive loop (pid ${status.pid}) is still running.`);
+  process.exit(1);
 }
 
 async function main() {
   const config = parseArgs(process.argv.slice(2));
+  if (config.showConfig) {
+    console.log(
+      JSON.stringify(
+        { configPath: config.configPath, config: getSettings(), sources: config.configSources },
+        null,
+        2
+      )
+    );
+    return;
+  }
+  if (config.tailLog !== null) {
+    const count = Number.isFinite(config.tailLog) && config.tailLog > 0 ? config.tailLog : 20;
+    for (const line of await readEventLogTail(count)) {
+      console.log(line);
+    }
+    return;
+  }
+  if (config.status) {
+    printKeeperStatus();
+    return;
+  }
+  if (config.shutdown) {
+    await shutdownKeeper();
+    return;
+  }
+  if (config.configErrors.length) {
+    for (const error of config.configErrors) {
+      console.error(`Config error: ${error}`);
+    }
+    process.exit(1);
+  }
+  if (config.profile && !getProfiles().some((profile) => profile.name === config.profile)) {
+    const names = getProfiles().map((profile) => profile.name);
+    console.error(
+      `Unknown profile "${config.profile}" (configured: ${names.length ? names.join(', ') : 'none'})`
+    );
+    process.exit(1);
+  }
   const intervalMs = config.intervalMinutes * 60 * 1000;
+  process.on('exit', stopHelloChildren);
 
-  await tick(config);
+  // Pause/resume/stop only change state; they never start a loop.
+  const isCommand = config.resume || config.stop || config.pauseMinutes > 0;
+  if (config.once || isCommand) {
+    await tick(config);
+    return;
+  }
 
-  if (!config.once) {
-    setInterval(() => {
-      tick(config).catch(() => {});
-    }, intervalMs);
+  const lock = await acquireKeeperLock({ intervalMinutes: config.intervalMinutes });
+  if (!lock.ok) {
+    console.error(
+      lock.holder
+        ? `Keepalive loop already running (pid ${lock.holder.pid}); use --shutdown to stop it.`
+        : `Unable to take the keepalive lock: ${lock.reason}`
+    );
+    process.exit(1);
   }
+  process.on('exit', releaseKeeperLock);
+  for (const signal of ['SIGTERM', 'SIGINT', 'SIGHUP']) {
+    process.once(signal, () => {
+      appendEvent('shutdown', { signal }).finally(() => process.exit(0));
+    });
+  }
+  await appendEvent('started', {
+    intervalMinutes: config.intervalMinutes,
+    serve: config.serve,
+    profiles: selectProfiles(config)
+      .filter(Boolean)
+      .map((profile) => profile.name),
+  });
+
+  if (config.serve) {
+    try {
+      await startStatusServer(config, { log });
+    } catch (error) {
+      console.error(
+        `Unable to start status server on ${config.serverHost}:${config.serverPort}: ${error?.message || error}`
+      );
+      process.exit(1);
+    }
+    console.log(`Status server listening on http://${config.serverHost}:${config.serverPort}`);
+  }
+
+  // setInterval keeps counting in awake time, so it is restarted whenever a tick runs early.
+  let tickTimer = null;
+  const scheduleTicks = async () => {
+    clearInterval(tickTimer);
+    await updateKeeperLock({ nextTickAt: Date.now() + intervalMs });
+    tickTimer = setInterval(() => {
+      updateKeeperLock({ nextTickAt: Date.now() + intervalMs })
+        .then(() => tick(config))
+        .catch(() => {});
+    }, intervalMs);
+  };
+
+  startClockWatch(async ({ from, to, jumpMs }) => {
+    const asleepUntil = from + Math.round(jumpMs);
+    if (jumpMs > 0) await recordSleepInterval(from, asleepUntil);
+    await appendEvent('wake', {
+      kind: jumpMs > 0 ? 'sleep' : 'clock-backward',
+      from: toIso(from),
+      to: toIso(jumpMs > 0 ? asleepUntil : to),
+      jumpSeconds: Math.round(jumpMs / 1000),
+    });
+    log('Clock jump detected; re-evaluating now.', { jumpSeconds: Math.round(jumpMs / 1000) });
+    await scheduleTicks();
+    await tick({ ...config, wake: true });
+  });
+
+  await tick(config);
+  await scheduleTicks();
 }
 
 main().catch(() => {
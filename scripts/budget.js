@@ -0,0 +1,107 @@
+import { spawnSync } from 'child_process';
+import { readState, updateState } from './active-session-core.js';
+import { appendEvent } from './event-log.js';
+
+const PERIODS = [
+  { period: 'day', setting: 'budgetDailyUsd', cost: 'dayCost', key: 'dayKey', label: 'today' },
+  { period: 'week', setting: 'budgetWeeklyUsd', cost: 'weekCost', key: 'weekKey', label: 'this week' },
+  { period: 'month', setting: 'budgetMonthlyUsd', cost: 'monthCost', key: 'monthKey', label: 'this month' },
+];
+const LEVEL_RANK = ['ok', 'warning', 'critical'];
+
+function pickBudgetLevel(percent, settings) {
+  if (percent >= settings.budgetCriticalPercent) return 'critical';
+  if (percent >= settings.budgetWarnPercent) return 'warning';
+  return 'ok';
+}
+
+function worstLevel(levels) {
+  return levels.reduce(
+    (worst, level) => (LEVEL_RANK.indexOf(level) > LEVEL_RANK.indexOf(worst) ? level : worst),
+    'ok'
+  );
+}
+
+// Compares the usage summary's day/week/month cost with the configured budgets (0 = no budget).
+export function evaluateBudgets(settings, usage) {
+  if (!usage?.ok || !usage.pricingLoaded) return { configured: false, level: null, periods: [] };
+  const periods = PERIODS.filter(({ setting }) => settings[setting] > 0).map((entry) => {
+    const budgetUsd = settings[entry.setting];
+    const spentUsd = usage[entry.cost] || 0;
+    const percent = (spentUsd / budgetUsd) * 100;
+    return {
+      period: entry.period,
+      label: entry.label,
+      key: usage[entry.key],
+      budgetUsd,
+      spentUsd,
+      remainingUsd: Math.max(0, budgetUsd - spentUsd),
+      percent,
+      level: pickBudgetLevel(percent, settings),
+    };
+  });
+  return {
+    configured: periods.length > 0,
+    level: periods.length ? worstLevel(periods.map((entry) => entry.level)) : null,
+    periods,
+  };
+}
+
+function findCrossings(budget, alerts) {
+  return budget.periods.filter((entry) => {
+    const announced = alerts[entry.period]?.key === entry.key ? alerts[entry.period].level : 'ok';
+    return LEVEL_RANK.indexOf(entry.level) > LEVEL_RANK.indexOf(announced);
+  });
+}
+
+function notify(title, message) {
+  const command =
+    process.platform === 'darwin'
+      ? [
+          'osascript',
+          ['-e', `display notification ${JSON.stringify(message)} with title ${JSON.stringify(title)}`],
+        ]
+      : ['notify-send', [title, message]];
+  try {
+    spawnSync(command[0], command[1], { stdio: 'ignore', timeout: 5000 });
+  } catch {
+    // ignore
+  }
+}
+
+export function hasBudgets(settings) {
+  return PERIODS.some(({ setting }) => settings[setting] > 0);
+}
+
+// A threshold is announced once per period; the announced level is kept in the keeper state, so
+// the menu and the keeper share it. Only those two call this: the status server, the CLI and the
+// bar renderers stay read-only.
+export async function recordBudgetCrossings(budget, settings) {
+  if (!budget.configured) return [];
+  if (!findCrossings(budget, (await readState()).budgetAlerts).length) return [];
+  let crossings = [];
+  await updateState((state) => {
+    crossings = findCrossings(budget, state.budgetAlerts);
+    const budgetAlerts = { ...state.budgetAlerts };
+    for (const entry of crossings) {
+      budgetAlerts[entry.period] = { key: entry.key, level: entry.level };
+    }
+    return { ...state, budgetAlerts };
+  });
+  for (const entry of crossings) {
+    await appendEvent('budget-crossed', {
+      period: entry.period,
+      key: entry.key,
+      level: entry.level,
+      spentUsd: Number(entry.spentUsd.toFixed(2)),
+      budgetUsd: entry.budgetUsd,
+    });
+    if (settings.budgetNotify) {
+      notify(
+        `Claude budget ${entry.level}`,
+        `$${entry.spentUsd.toFixed(2)} of $${entry.budgetUsd.toFixed(2)} spent ${entry.label}`
+      );
+    }
+  }
+  return crossings;
+}
@@ -0,0 +1,65 @@
+import { appendFile, mkdir, readFile, rename, stat } from 'fs/promises';
+import path from 'path';
+import { CACHE_DIR, getActiveProfileName, getSettings } from './active-session-core.js';
+
+export const EVENT_LOG_PATH = path.join(CACHE_DIR, 'keeper-events.jsonl');
+const ROTATED_FILES = 3;
+
+function rotatedPath(index) {
+  return `${EVENT_LOG_PATH}.${index}`;
+}
+
+async function rotateIfNeeded(maxBytes) {
+  let size = 0;
+  try {
+    size = (await stat(EVENT_LOG_PATH)).size;
+  } catch {
+    return;
+  }
+  if (size < maxBytes) return;
+  // keeper-events.jsonl -> .1 -> .2 -> .3; the oldest file is overwritten.
+  for (let index = ROTATED_FILES - 1; index >= 1; index -= 1) {
+    try {
+      await rename(rotatedPath(index), rotatedPath(index + 1));
+    } catch {
+      // ignore
+    }
+  }
+  await rename(EVENT_LOG_PATH, rotatedPath(1));
+}
+
+export async function appendEvent(decision, details = {}) {
+  const profile = getActiveProfileName();
+  const entry = {
+    time: new Date().toISOString(),
+    pid: process.pid,
+    ...(profile ? { profile } : {}),
+    decision,
+    ...details,
+  };
+  try {
+    await mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
+    await rotateIfNeeded(getSettings().eventLogMaxKb * 1024);
+    await appendFile(EVENT_LOG_PATH, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch {
+    // ignore
+  }
+  return entry;
+}
+
+async function readLines(filePath) {
+  try {
+    const raw = await readFile(filePath, 'utf-8');
+    return raw.split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+export async function readEventLogTail(count) {
+  let lines = await readLines(EVENT_LOG_PATH);
+  for (let index = 1; lines.length < count && index <= ROTATED_FILES; index += 1) {
+    lines = [...(await readLines(rotatedPath(index))), ...lines];
+  }
+  return lines.slice(-count);
+}
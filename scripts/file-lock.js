@@ -0,0 +1,158 @@
+import {
+  closeSync,
+  linkSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+  utimesSync,
+  writeSync,
+} from 'fs';
+import { randomUUID } from 'crypto';
+import path from 'path';
+
+const LOCK_RETRY_MS = 50;
+// A lock file this young may still be being written by its holder.
+const LOCK_WRITE_GRACE_MS = 5000;
+
+// The holder record stored in a lock file; null when it is missing or not (yet) readable.
+export function readFileLock(lockPath) {
+  try {
+    return JSON.parse(readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function isStaleLock(holder, mtimeMs, { staleMs, isHolderAlive }) {
+  const ageMs = Date.now() - mtimeMs;
+  if (!holder) return ageMs > LOCK_WRITE_GRACE_MS;
+  return isHolderAlive ? !isHolderAlive(holder) : ageMs > staleMs;
+}
+
+// Two waiters can judge the same lock stale. Each renames it to a private name first (only one
+// rename wins) and links it back if it is not the lock it judged stale. A lock created in the
+// meantime makes that link fail; its displaced holder sees its token gone (isFileLockHeld).
+// False when the lock could not be moved at all.
+function removeStaleLock(lockPath, staleToken, staleMtimeMs) {
+  const claimed = `${lockPath}.${process.pid}.stale`;
+  try {
+    renameSync(lockPath, claimed);
+  } catch {
+    return false;
+  }
+  try {
+    const token = readFileLock(claimed)?.token ?? null;
+    if (token !== staleToken || statSync(claimed).mtimeMs !== staleMtimeMs) {
+      linkSync(claimed, lockPath);
+    }
+  } catch {
+    // ignore
+  }
+  try {
+    unlinkSync(claimed);
+  } catch {
+    // ignore
+  }
+  return true;
+}
+
+// A lock judged stale by its mtime stays fresh while its holder runs, however slow the work.
+function startHeartbeat(lock, staleMs) {
+  lock.heartbeat = setInterval(() => {
+    if (!isFileLockHeld(lock)) {
+      lock.lost = true;
+      clearInterval(lock.heartbeat);
+      return;
+    }
+    try {
+      const now = new Date();
+      utimesSync(lock.lockPath, now, now);
+    } catch {
+      // ignore
+    }
+  }, Math.max(LOCK_RETRY_MS, Math.floor(staleMs / 3)));
+  lock.heartbeat.unref();
+}
+
+function createHandle(lockPath, token, { staleMs, isHolderAlive }) {
+  const lock = { lockPath, token, lost: false, heartbeat: null };
+  if (staleMs && !isHolderAlive) startHeartbeat(lock, staleMs);
+  return lock;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exclusive lock file shared between processes. The file records the holder's token, pid, start
+// time and `data`. A lock is stale once isHolderAlive(holder) is false or, without it, once its
+// mtime is older than staleMs; a stale lock is taken over. Resolves to null when the lock is
+// still held after timeoutMs, otherwise to a handle for isFileLockHeld and releaseFileLock.
+export async function acquireFileLock(lockPath, options = {}) {
+  const { staleMs = null, timeoutMs = 0, data = {}, isHolderAlive = null } = options;
+  mkdirSync(path.dirname(lockPath), { recursive: true, mode: 0o700 });
+  const token = `${process.pid}:${randomUUID()}`;
+  const deadline = Date.now() + timeoutMs;
+  let tookOver = false;
+  for (;;) {
+    let fd = null;
+    try {
+      fd = openSync(lockPath, 'wx', 0o600);
+    } catch (error) {
+      if (error?.code !== 'EEXIST') throw error;
+    }
+    if (fd !== null) {
+      try {
+        const holder = { token, pid: process.pid, startedAt: Date.now(), ...data };
+        writeSync(fd, JSON.stringify(holder, null, 2));
+      } finally {
+        closeSync(fd);
+      }
+      // Waiters that judged the same lock stale finish their takeover within moments; if one of
+      // them displaced this lock, the token is gone by now and the wait goes on.
+      if (tookOver) {
+        await sleep(LOCK_RETRY_MS);
+        tookOver = false;
+        if (readFileLock(lockPath)?.token !== token) continue;
+      }
+      return createHandle(lockPath, token, { staleMs, isHolderAlive });
+    }
+    const holder = readFileLock(lockPath);
+    // A waiter that moved this lock aside may have linked it back after the check above.
+    if (holder?.token === token) return createHandle(lockPath, token, { staleMs, isHolderAlive });
+    try {
+      const { mtimeMs } = statSync(lockPath);
+      if (
+        isStaleLock(holder, mtimeMs, { staleMs, isHolderAlive }) &&
+        removeStaleLock(lockPath, holder?.token ?? null, mtimeMs)
+      ) {
+        tookOver = true;
+        continue;
+      }
+    } catch {
+      // ignore: released meanwhile
+    }
+    if (Date.now() >= deadline) return null;
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+// False once the lock file no longer carries this handle's token (it was taken over).
+export function isFileLockHeld(lock) {
+  return !!lock && !lock.lost && readFileLock(lock.lockPath)?.token === lock.token;
+}
+
+// Synchronous so it can run from an 'exit' handler. Leaves a lock taken over meanwhile alone.
+export function releaseFileLock(lock) {
+  if (!lock) return;
+  clearInterval(lock.heartbeat);
+  if (!isFileLockHeld(lock)) return;
+  try {
+    unlinkSync(lock.lockPath);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,90 @@
+import { readFileSync } from 'fs';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { CACHE_DIR, writeJsonAtomic } from './active-session-core.js';
+import { acquireFileLock, isFileLockHeld, readFileLock, releaseFileLock } from './file-lock.js';
+
+export const LOCK_PATH = path.join(CACHE_DIR, 'keeper.lock');
+
+let heldLock = null;
+
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error?.code === 'EPERM';
+  }
+}
+
+function readProcessCommand(pid) {
+  try {
+    return readFileSync(`/proc/${pid}/cmdline`, 'utf-8').replace(/\0/g, ' ');
+  } catch {
+    // ignore
+  }
+  try {
+    return execFileSync('ps', ['-p', String(pid), '-o', 'command='], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch {
+    return null;
+  }
+}
+
+// Guards against a recycled pid: the process must still look like the keeper.
+export function isKeeperProcess(pid) {
+  if (!isProcessAlive(pid)) return false;
+  const command = readProcessCommand(pid);
+  return command === null || command.includes('active-session-keeper');
+}
+
+// The loop may sleep with the machine for hours, so its lock is stale only once its process is
+// gone, never by age.
+export async function acquireKeeperLock(info = {}) {
+  try {
+    heldLock = await acquireFileLock(LOCK_PATH, {
+      data: info,
+      isHolderAlive: (holder) => isKeeperProcess(holder.pid),
+    });
+  } catch (error) {
+    return { ok: false, reason: error?.message || 'lock_error' };
+  }
+  if (heldLock) return { ok: true };
+  const holder = readFileLock(LOCK_PATH);
+  if (holder && isKeeperProcess(holder.pid)) return { ok: false, reason: 'running', holder };
+  return { ok: false, reason: 'lock_busy' };
+}
+
+export async function updateKeeperLock(patch) {
+  if (!isFileLockHeld(heldLock)) return;
+  try {
+    await writeJsonAtomic(LOCK_PATH, { ...readFileLock(LOCK_PATH), ...patch });
+  } catch {
+    // ignore
+  }
+}
+
+// Synchronous so it can run from an 'exit' handler.
+export function releaseKeeperLock() {
+  releaseFileLock(heldLock);
+  heldLock = null;
+}
+
+export function readKeeperStatus(now = Date.now()) {
+  const lock = readFileLock(LOCK_PATH);
+  const running = !!lock && isKeeperProcess(lock.pid);
+  return {
+    running,
+    stale: !!lock && !running,
+    pid: running ? lock.pid : null,
+    startedAt: running ? lock.startedAt ?? null : null,
+    uptimeSeconds: running && lock.startedAt ? Math.floor((now - lock.startedAt) / 1000) : null,
+    lastTickAt: lock?.lastTickAt ?? null,
+    nextTickAt: running ? lock.nextTickAt ?? null : null,
+    intervalMinutes: lock?.intervalMinutes ?? null,
+    lockPath: LOCK_PATH,
+  };
+}
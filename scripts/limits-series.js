@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+import {
+  getProfiles,
+  isMainModule,
+  readLimitsSeries,
+  runWithProfile,
+} from './active-session-core.js';
+
+const FIVE_HOUR_MS = 5 * 60 * 60 * 1000;
+const SEVEN_DAY_MS = 7 * 24 * 60 * 60 * 1000;
+const FIVE_HOUR_BUCKETS = 20;
+const SEVEN_DAY_BUCKETS = 28;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const FORMATS = ['csv', 'jsonl', 'json'];
+const DURATION_RE = /^(\d+)([hd])$/;
+
+// Highest value per bucket between from and to; null where no sample fell in a bucket.
+function bucketMax(samples, pick, from, to, count) {
+  const size = (to - from) / count;
+  const values = new Array(count).fill(null);
+  for (const sample of samples) {
+    const value = pick(sample);
+    if (value === null || sample.at < from || sample.at >= to) continue;
+    const index = Math.min(count - 1, Math.floor((sample.at - from) / size));
+    values[index] = values[index] === null ? value : Math.max(values[index], value);
+  }
+  return values;
+}
+
+export function renderSparkline(values) {
+  return values
+    .map((value) => {
+      if (value === null) return ' ';
+      const level = Math.floor((Math.max(0, Math.min(100, value)) / 100) * SPARK_CHARS.length);
+      return SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, level)];
+    })
+    .join('');
+}
+
+// The 5h series covers the running window (from resets_at - 5h up to now, so it fills in as the
+// window goes on); the 7d series covers the last seven days in 6-hour buckets.
+export function buildLimitsTrend(samples, fiveHourResetsAt, now = Date.now()) {
+  const resetsAt = fiveHourResetsAt ? new Date(fiveHourResetsAt).getTime() : NaN;
+  const windowEnd = Number.isFinite(resetsAt) && resetsAt > now ? resetsAt : now;
+  const windowStart = windowEnd - FIVE_HOUR_MS;
+  const elapsed = Math.ceil(((now - windowStart) / FIVE_HOUR_MS) * FIVE_HOUR_BUCKETS);
+  const fiveHour = bucketMax(
+    samples,
+    (sample) => sample.fiveHour,
+    windowStart,
+    windowEnd,
+    FIVE_HOUR_BUCKETS
+  ).slice(0, Math.max(1, elapsed));
+  const sevenDay = bucketMax(
+    samples,
+    (sample) => sample.sevenDay,
+    now - SEVEN_DAY_MS,
+    now + 1,
+    SEVEN_DAY_BUCKETS
+  );
+  return {
+    fiveHour: { from: windowStart, to: windowEnd, values: fiveHour },
+    sevenDay: { from: now - SEVEN_DAY_MS, to: now, values: sevenDay },
+  };
+}
+
+function toIso(ms) {
+  return typeof ms === 'number' ? new Date(ms).toISOString() : null;
+}
+
+function toExportRow(sample, profile) {
+  return {
+    time: toIso(sample.at),
+    ...(profile ? { profile } : {}),
+    five_hour_utilization: sample.fiveHour,
+    five_hour_resets_at: toIso(sample.fiveHourResetsAt),
+    seven_day_utilization: sample.sevenDay,
+    seven_day_resets_at: toIso(sample.sevenDayResetsAt),
+  };
+}
+
+function formatCsv(rows) {
+  const columns = [
+    'time',
+    'profile',
+    'five_hour_utilization',
+    'five_hour_resets_at',
+    'seven_day_utilization',
+    'seven_day_resets_at',
+  ];
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => row[column] ?? '').join(','));
+  }
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const options = { since: '7d', format: 'csv', profile: null };
+  for (const arg of argv) {
+    if (arg.startsWith('--since=')) options.since = arg.split('=')[1];
+    else if (arg.startsWith('--format=')) options.format = arg.split('=')[1];
+    else if (arg.startsWith('--profile=')) options.profile = arg.split('=')[1];
+    else return { error: `Unknown argument: ${arg}` };
+  }
+  const match = DURATION_RE.exec(options.since);
+  if (!match) return { error: '--since expects a duration like 24h or 30d' };
+  if (!FORMATS.includes(options.format)) {
+    return { error: `--format expects one of ${FORMATS.join(', ')}` };
+  }
+  const unitMs = match[2] === 'h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  return { ...options, sinceMs: Number(match[1]) * unitMs };
+}
+
+export async function exportLimitsSeriesCli(argv) {
+  const options = parseArgs(argv);
+  if (options.error) {
+    console.error(options.error);
+    console.error('Usage: limits-series.js [--since=7d] [--format=csv|jsonl|json] [--profile=name]');
+    process.exit(1);
+  }
+  const since = Date.now() - options.sinceMs;
+  const profiles = getProfiles().filter(
+    (profile) => !options.profile || profile.name === options.profile
+  );
+  if (options.profile && !profiles.length) {
+    console.error(`Unknown profile "${options.profile}".`);
+    process.exit(1);
+  }
+  const rows = [];
+  if (profiles.length) {
+    for (const profile of profiles) {
+      const samples = await runWithProfile(profile, () => readLimitsSeries(since));
+      rows.push(...samples.map((sample) => toExportRow(sample, profile.name)));
+    }
+  } else {
+    rows.push(...(await readLimitsSeries(since)).map((sample) => toExportRow(sample, null)));
+  }
+  if (options.format === 'json') console.log(JSON.stringify(rows, null, 2));
+  else if (options.format === 'jsonl') rows.forEach((row) => console.log(JSON.stringify(row)));
+  else console.log(formatCsv(rows));
+}
+
+if (isMainModule(import.meta.url)) {
+  exportLimitsSeriesCli(process.argv.slice(2)).catch((error) => {
+    console.error(error?.message || String(error));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+import http from 'http';
+
+const REFRESHED_TOKEN = 'mock-refreshed-access-token';
+const SCENARIOS = ['ok', 'full', 'token_expired', '429', '500'];
+
+function parseArgs(argv) {
+  const config = {
+    port: 8787,
+    host: '127.0.0.1',
+    script: ['ok'],
+    fiveHour: 42,
+    sevenDay: 17,
+    extraUsage: true,
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--port=')) {
+      config.port = Number(arg.split('=')[1]);
+    } else if (arg.startsWith('--host=')) {
+      config.host = arg.split('=')[1] || config.host;
+    } else if (arg.startsWith('--script=')) {
+      config.script = arg.split('=')[1].split(',').map((s) => s.trim()).filter(Boolean);
+    } else if (arg.startsWith('--five-hour=')) {
+      config.fiveHour = Number(arg.split('=')[1]);
+    } else if (arg.startsWith('--seven-day=')) {
+      config.sevenDay = Number(arg.split('=')[1]);
+    } else if (arg === '--no-extra-usage') {
+      config.extraUsage = false;
+    }
+  }
+
+  return config;
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function errorPayload(type, message, errorCode) {
+  return {
+    type: 'error',
+    error: {
+      type,
+      message,
+      ...(errorCode ? { details: { error_code: errorCode } } : {}),
+    },
+  };
+}
+
+function usagePayload(config, scenario) {
+  const now = Date.now();
+  const fiveHour = scenario === 'full' ? 100 : config.fiveHour;
+  return {
+    five_hour: {
+      utilization: fiveHour,
+      resets_at: new Date(now + 2 * 60 * 60 * 1000).toISOString(),
+    },
+    seven_day: {
+      utilization: config.sevenDay,
+      resets_at: new Date(now + 3 * 24 * 60 * 60 * 1000).toISOString(),
+    },
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+  });
+}
+
+function createScript(steps) {
+  let index = 0;
+  let queue = steps.length ? steps : ['ok'];
+  return {
+    // Each API request consumes one step; the last step repeats.
+    next() {
+      const step = queue[Math.min(index, queue.length - 1)];
+      index += 1;
+      return step;
+    },
+    set(nextSteps) {
+      queue = nextSteps.length ? nextSteps : ['ok'];
+      index = 0;
+    },
+    describe() {
+      return { script: queue, position: index };
+    },
+  };
+}
+
+function respondWithScenario(res, req, scenario, okPayload) {
+  const auth = req.headers.authorization || '';
+  switch (scenario) {
+    case 'token_expired':
+      // A token issued by the mock refresh endpoint is accepted, so the refresh flow can be exercised.
+      if (auth === `Bearer ${REFRESHED_TOKEN}`) return sendJson(res, 200, okPayload);
+      return sendJson(
+        res,
+        401,
+        errorPayload('authentication_error', 'OAuth token has expired.', 'token_expired')
+      );
+    case '429':
+      return sendJson(res, 429, errorPayload('rate_limit_error', 'Rate limited.'));
+    case '500':
+      return sendJson(res, 500, errorPayload('api_error', 'Internal server error.'));
+    case 'ok':
+    case 'full':
+    default:
+      return sendJson(res, 200, okPayload);
+  }
+}
+
+function main() {
+  const config = parseArgs(process.argv.slice(2));
+  const unknown = config.script.filter((step) => !SCENARIOS.includes(step));
+  if (unknown.length) {
+    console.error(`Unknown scenario(s): ${unknown.join(', ')}. Use: ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+  const script = createScript(config.script);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const body = await readBody(req);
+    console.log(new Date().toISOString(), '-', req.method, url.pathname);
+
+    if (url.pathname === '/__mock/script') {
+      if (req.method === 'POST') {
+        const steps = (url.searchParams.get('steps') || body)
+          .split(',')
+          .map((s) => s.trim())
+          .filter(Boolean);
+        if (steps.some((step) => !SCENARIOS.includes(step))) {
+          return sendJson(res, 400, { ok: false, scenarios: SCENARIOS });
+        }
+        script.set(steps);
+      }
+      return sendJson(res, 200, { ok: true, ...script.describe() });
+    }
+
+    if (url.pathname === '/api/oauth/usage') {
+      const scenario = script.next();
+      return respondWithScenario(res, req, scenario, usagePayload(config, scenario));
+    }
+
+    if (url.pathname === '/api/oauth/profile') {
+      const scenario = script.next();
+      return respondWithScenario(res, req, scenario, {
+        organization: { has_extra_usage_enabled: config.extraUsage },
+      });
+    }
+
+    if (url.pathname === '/v1/oauth/token' && req.method === 'POST') {
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // ignore
+      }
+      if (payload?.grant_type !== 'refresh_token' || !payload?.refresh_token) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      return sendJson(res, 200, {
+        access_token: REFRESHED_TOKEN,
+        refresh_token: `${payload.refresh_token}-rotated`,
+        expires_in: 8 * 60 * 60,
+        token_type: 'Bearer',
+      });
+    }
+
+    return sendJson(res, 404, errorPayload('not_found_error', 'Not found.'));
+  });
+
+  server.listen(config.port, config.host, () => {
+    const base = `http://${config.host}:${config.port}`;
+    console.log(`Mock usage server listening on ${base} (script: ${config.script.join(',')})`);
+    console.log(`  CLAUDE_API_BASE_URL=${base}`);
+    console.log(`  CLAUDE_OAUTH_TOKEN_URL=${base}/v1/oauth/token`);
+  });
+}
+
+main();
@@ -0,0 +1,221 @@
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const SEARCH_DAYS = 8;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const FIVE_HOUR_MS = 5 * 60 * 60 * 1000;
+
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function parseDays(text) {
+  if (text === '*' || text === 'daily') return new Set(WEEKDAYS.map((_, index) => index));
+  const days = new Set();
+  for (const part of text.split(',')) {
+    const [from, to] = part.split('-');
+    const start = WEEKDAYS.indexOf(from);
+    const end = to === undefined ? start : WEEKDAYS.indexOf(to);
+    if (start < 0 || end < 0) return null;
+    // Ranges may wrap around the week, e.g. "fri-mon".
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+  return days;
+}
+
+// Rule syntax: "<days> <HH:MM-HH:MM>[,<HH:MM-HH:MM>...]", e.g. "mon-fri 07:30-09:00,13:00-14:00".
+// A range whose end is before its start runs past midnight into the next day.
+export function parseScheduleRule(text) {
+  const parts = String(text).trim().toLowerCase().split(/\s+/);
+  if (parts.length !== 2) return { error: `"${text}": expected "<days> <HH:MM-HH:MM>"` };
+  const days = parseDays(parts[0]);
+  if (!days) return { error: `"${text}": unknown weekday set "${parts[0]}"` };
+  const ranges = [];
+  for (const range of parts[1].split(',')) {
+    const bounds = range.split('-');
+    const [from, to] = bounds.map(parseClock);
+    if (bounds.length !== 2 || from === null || to === null || from === to) {
+      return { error: `"${text}": invalid time range "${range}"` };
+    }
+    ranges.push({ from, to });
+  }
+  return { rule: { days, ranges } };
+}
+
+function parseSkipDate(text) {
+  const [from, to = from] = String(text).trim().split('..');
+  if (!DATE_RE.test(from) || !DATE_RE.test(to) || to < from) return null;
+  return { from, to };
+}
+
+export function validateScheduleRules(rules) {
+  const failed = rules.map((rule) => parseScheduleRule(rule).error).filter(Boolean);
+  return failed.length ? failed.join('; ') : null;
+}
+
+export function validateSkipDates(dates) {
+  const invalid = dates.filter((date) => !parseSkipDate(date));
+  if (!invalid.length) return null;
+  return `invalid date(s) ${invalid.join(', ')} (use YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD)`;
+}
+
+export function validateTargetResetTimes(times) {
+  const invalid = times.filter((time) => parseClock(time) === null);
+  return invalid.length ? `invalid time(s) ${invalid.join(', ')} (use HH:MM)` : null;
+}
+
+export function validateTimeZone(timeZone) {
+  if (!timeZone) return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return null;
+  } catch {
+    return `unknown time zone "${timeZone}"`;
+  }
+}
+
+const formatters = new Map();
+
+function getZonedParts(ms, timeZone) {
+  const key = timeZone || '';
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    formatters.set(key, formatter);
+  }
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(ms))) {
+    parts[part.type] = part.value;
+  }
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function localTimeToInstant(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  let ms = wall;
+  // Two passes settle the zone offset, including on DST change days.
+  for (let pass = 0; pass < 2; pass += 1) {
+    const local = getZonedParts(ms, timeZone);
+    const [y, m, d] = local.dateKey.split('-').map(Number);
+    ms += wall - Date.UTC(y, m - 1, d, 0, local.minutes);
+  }
+  return ms;
+}
+
+function matchesRule(rule, local) {
+  const previousDay = (local.weekday + 6) % 7;
+  return rule.ranges.some(({ from, to }) => {
+    if (from < to) {
+      return rule.days.has(local.weekday) && local.minutes >= from && local.minutes < to;
+    }
+    return (
+      (rule.days.has(local.weekday) && local.minutes >= from) ||
+      (rule.days.has(previousDay) && local.minutes < to)
+    );
+  });
+}
+
+function checkLocalTime(local, rules, skipDates) {
+  if (skipDates.some(({ from, to }) => local.dateKey >= from && local.dateKey <= to)) {
+    return 'skip-date';
+  }
+  if (rules.length && !rules.some((rule) => matchesRule(rule, local))) {
+    return 'outside-schedule';
+  }
+  return null;
+}
+
+// Jumps from boundary to boundary (range starts and midnight) instead of scanning every minute.
+function findNextEligible(now, rules, skipDates, timeZone) {
+  const starts = rules.flatMap((rule) => rule.ranges.map((range) => range.from));
+  let ms = Math.floor(now / 60000) * 60000;
+  const limit = now + SEARCH_DAYS * MINUTES_PER_DAY * 60000;
+  while (ms < limit) {
+    const local = getZonedParts(ms, timeZone);
+    if (!checkLocalTime(local, rules, skipDates)) return Math.max(ms, now);
+    const target = [...starts, MINUTES_PER_DAY].reduce((best, start) => {
+      const delta = (start - local.minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+      return Math.min(best, delta);
+    }, MINUTES_PER_DAY);
+    let next = ms + target * 60000;
+    // Across a DST change the wall clock moves by more or less than the elapsed time.
+    const landed = getZonedParts(next, timeZone).minutes;
+    const expected = (local.minutes + target) % MINUTES_PER_DAY;
+    let drift = expected - landed;
+    if (drift > MINUTES_PER_DAY / 2) drift -= MINUTES_PER_DAY;
+    if (drift < -MINUTES_PER_DAY / 2) drift += MINUTES_PER_DAY;
+    next += drift * 60000;
+    ms = next > ms ? next : ms + 60000;
+  }
+  return null;
+}
+
+export function evaluateSchedule(settings, now = Date.now()) {
+  const rules = (settings.schedule || [])
+    .map((text) => parseScheduleRule(text).rule)
+    .filter(Boolean);
+  const skipDates = (settings.skipDates || []).map(parseSkipDate).filter(Boolean);
+  const timeZone = settings.scheduleTimezone || null;
+  if (!rules.length && !skipDates.length) {
+    return { configured: false, allowed: true, reason: null, nextEligibleAt: now, timeZone };
+  }
+  const reason = checkLocalTime(getZonedParts(now, timeZone), rules, skipDates);
+  return {
+    configured: true,
+    allowed: !reason,
+    reason,
+    nextEligibleAt: reason ? findNextEligible(now, rules, skipDates, timeZone) : now,
+    timeZone,
+  };
+}
+
+// Picks the next target reset whose 5h window can still start: not before the current window ends,
+// and not further in the past than graceMinutes (one tick interval).
+export function planWindowAlignment(settings, fiveHourLimit, now = Date.now(), options = {}) {
+  const targets = (settings.targetResetTimes || []).map(parseClock).filter((value) => value !== null);
+  if (!targets.length) return { configured: false };
+  const timeZone = settings.scheduleTimezone || null;
+  const graceMs = (options.graceMinutes ?? 0) * 60 * 1000;
+  const resetsAt = fiveHourLimit?.resets_at ? new Date(fiveHourLimit.resets_at).getTime() : null;
+  const windowEndsAt = Number.isFinite(resetsAt) && resetsAt > now ? resetsAt : null;
+  const earliestHello = Math.max(now - graceMs, windowEndsAt ?? 0);
+
+  const dateKeys = new Set();
+  for (let offset = 0; offset <= 2; offset += 1) {
+    dateKeys.add(getZonedParts(now + offset * MINUTES_PER_DAY * 60000, timeZone).dateKey);
+  }
+  const candidates = [...dateKeys]
+    .flatMap((dateKey) => targets.map((minutes) => localTimeToInstant(dateKey, minutes, timeZone)))
+    .sort((a, b) => a - b);
+  const expectedResetAt = candidates.find((reset) => reset - FIVE_HOUR_MS >= earliestHello) ?? null;
+  const plannedHelloAt = expectedResetAt === null ? null : expectedResetAt - FIVE_HOUR_MS;
+  return {
+    configured: true,
+    plannedHelloAt,
+    expectedResetAt,
+    windowEndsAt,
+    due: plannedHelloAt !== null && now >= plannedHelloAt,
+    timeZone,
+  };
+}
@@ -0,0 +1,220 @@
+import http from 'http';
+import { buildStatusModel } from './status.js';
+
+// Scrapes are cheap to repeat, API calls are not: reuse one model for a short while.
+const MODEL_MAX_AGE_MS = 60 * 1000;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function createMetricWriter() {
+  const lines = [];
+  return {
+    metric(name, type, help, samples) {
+      const valid = samples.filter(
+        ([, value]) => typeof value === 'number' && Number.isFinite(value)
+      );
+      if (!valid.length) return;
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [labels, value] of valid) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    },
+    toString() {
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+function secondsUntil(value, now) {
+  if (!value) return null;
+  const ts = new Date(value).getTime();
+  if (Number.isNaN(ts)) return null;
+  return Math.max(0, Math.round((ts - now) / 1000));
+}
+
+function toSeconds(ms) {
+  return typeof ms === 'number' && Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+export function renderMetrics(model) {
+  const out = createMetricWriter();
+  const now = model.generatedAt;
+  const { usage, activity } = model;
+  // With profiles, every per-account series gets a profile label.
+  const accounts = model.profiles?.length ? model.profiles : [model];
+  const withProfile = (account, labels = {}) =>
+    account.name ? { profile: account.name, ...labels } : labels;
+  const perAccount = (pick) => accounts.map((account) => [withProfile(account), pick(account)]);
+  const perWindow = (pick) =>
+    accounts.flatMap((account) => [
+      [withProfile(account, { window: 'five_hour' }), pick(account.limits.fiveHour)],
+      [withProfile(account, { window: 'seven_day' }), pick(account.limits.sevenDay)],
+    ]);
+
+  out.metric(
+    'claude_rate_limit_utilization_percent',
+    'gauge',
+    'Rate limit utilization reported by the usage API.',
+    perWindow((limit) => limit.utilization)
+  );
+  out.metric(
+    'claude_rate_limit_reset_seconds',
+    'gauge',
+    'Seconds until the rate limit window resets.',
+    perWindow((limit) => secondsUntil(limit.resetsAt, now))
+  );
+  out.metric(
+    'claude_rate_limit_stale',
+    'gauge',
+    '1 when limits come from the cache.',
+    perAccount((account) => (account.limits.stale ? 1 : 0))
+  );
+  out.metric(
+    'claude_rate_limit_cache_age_minutes',
+    'gauge',
+    'Age of cached limits in minutes.',
+    perAccount((account) => account.limits.ageMinutes)
+  );
+
+  if (usage?.ok) {
+    // The usage history keeps the last 120 days, so these totals drop as old days are trimmed:
+    // gauges, not counters.
+    const models = Object.entries(usage.allTimeModels || {});
+    out.metric(
+      'claude_usage_history_cost_usd',
+      'gauge',
+      'Estimated cost per model in USD over the retained usage history.',
+      models.map(([model, entry]) => [{ model }, entry.cost])
+    );
+    out.metric(
+      'claude_usage_history_tokens',
+      'gauge',
+      'Tokens per model and type over the retained usage history.',
+      models.flatMap(([model, entry]) =>
+        ['input', 'output', 'cacheRead', 'cacheWrite'].map((type) => [
+          { model, type },
+          entry[type],
+        ])
+      )
+    );
+    out.metric('claude_usage_cost_usd', 'gauge', 'Estimated cost in USD per period.', [
+      [{ period: 'day' }, usage.dayCost],
+      [{ period: 'last3days' }, usage.last3Cost],
+      [{ period: 'week' }, usage.weekCost],
+      [{ period: 'month' }, usage.monthCost],
+    ]);
+  }
+
+  out.metric(
+    'claude_budget_usd',
+    'gauge',
+    'Configured cost budget in USD per period.',
+    (model.budget?.periods || []).map((entry) => [{ period: entry.period }, entry.budgetUsd])
+  );
+  out.metric(
+    'claude_budget_used_percent',
+    'gauge',
+    'Share of the cost budget spent in the current period.',
+    (model.budget?.periods || []).map((entry) => [{ period: entry.period }, entry.percent])
+  );
+
+  out.metric(
+    'claude_keepalive_last_hello_timestamp_seconds',
+    'gauge',
+    'Unix time of the last keepalive hello.',
+    perAccount((account) => toSeconds(account.keepalive.lastLaunch))
+  );
+  out.metric(
+    'claude_keepalive_hello_total',
+    'counter',
+    'Keepalive hello attempts by result.',
+    accounts.flatMap((account) =>
+      ['success', 'unconfirmed', 'failure'].map((result) => [
+        withProfile(account, { result }),
+        account.keepalive.helloStats[result],
+      ])
+    )
+  );
+  out.metric(
+    'claude_keepalive_paused',
+    'gauge',
+    '1 when the keepalive is paused or stopped.',
+    perAccount((account) => (account.keepalive.state === 'on' ? 0 : 1))
+  );
+  out.metric('claude_session_active', 'gauge', '1 when a Claude session is active.', [
+    [{}, activity.active ? 1 : 0],
+  ]);
+  out.metric(
+    'claude_last_activity_timestamp_seconds',
+    'gauge',
+    'Unix time of the latest transcript activity.',
+    [[{}, toSeconds(activity.lastActivity)]]
+  );
+
+  return out.toString();
+}
+
+export function startStatusServer(config, { log = () => {} } = {}) {
+  let cached = null;
+  let pending = null;
+
+  const getModel = () => {
+    if (cached && Date.now() - cached.generatedAt < MODEL_MAX_AGE_MS) {
+      return Promise.resolve(cached);
+    }
+    if (!pending) {
+      pending = buildStatusModel({
+        config,
+        configErrors: config.configErrors,
+        configPath: config.configPath,
+      })
+        .then((model) => {
+          cached = model;
+          return model;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || (url.pathname !== '/status' && url.pathname !== '/metrics')) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Try /status or /metrics.\n');
+      return;
+    }
+    try {
+      const model = await getModel();
+      if (url.pathname === '/status') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(model, null, 2));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics(model));
+      }
+    } catch (error) {
+      log('Status server request failed.', { error: error?.message || String(error) });
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, reason: error?.message || 'error' }));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.serverPort, config.serverHost, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
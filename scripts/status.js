@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+import {
+  loadConfig,
+  getProfiles,
+  runWithProfile,
+  getLatestActivityTimestamp,
+  getLatestActivityCwd,
+  getSessionStartTimestamp,
+  listSessions,
+  loadTranscriptSnapshot,
+  readSleepIntervals,
+  awakeMsBetween,
+  fetchUsageLimits,
+  fetchExtraUsageStatus,
+  limitOk,
+  readLimitsSeries,
+  readState,
+  formatAge,
+  isMainModule,
+} from './active-session-core.js';
+import { updateUsageHistory } from './usage-history.js';
+import { evaluateSchedule, planWindowAlignment } from './schedule.js';
+import { evaluateBudgets } from './budget.js';
+import { buildLimitsTrend } from './limits-series.js';
+import { readKeeperStatus } from './keeper-lock.js';
+
+export function clampPercent(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return Math.max(0, Math.min(100, value));
+}
+
+const LEVEL_COLORS = {
+  unknown: '#9CA3AF', // gray
+  critical: '#EF4444', // red
+  warning: '#F59E0B', // amber
+  ok: '#10B981', // emerald
+};
+
+export function pickLevelByPercent(percent) {
+  const clamped = clampPercent(percent);
+  if (clamped === null) return 'unknown';
+  if (clamped >= 90) return 'critical';
+  if (clamped >= 70) return 'warning';
+  return 'ok';
+}
+
+export function pickColorByPercent(percent) {
+  return LEVEL_COLORS[pickLevelByPercent(percent)];
+}
+
+export function pickLevelColor(level) {
+  return LEVEL_COLORS[level] || LEVEL_COLORS.unknown;
+}
+
+export function pickStatusColor(state) {
+  switch (state) {
+    case 'Unknown':
+      return '#EF4444';
+    case 'Cached':
+      return '#F59E0B';
+    case 'Limit':
+      return '#EF4444';
+    case 'Active':
+      return '#10B981';
+    case 'Idle':
+    default:
+      return '#9CA3AF';
+  }
+}
+
+export function formatResetTime(value) {
+  if (!value) return 'unknown';
+  const ts = new Date(value).getTime();
+  if (Number.isNaN(ts)) return 'unknown';
+  const deltaMs = ts - Date.now();
+  const totalMinutes = Math.max(0, Math.ceil(deltaMs / 60000));
+  if (totalMinutes === 0) return 'now';
+  if (totalMinutes < 60) return `${totalMinutes}m`;
+  if (totalMinutes < 1440) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${hours}h ${minutes}m`;
+  }
+  const days = Math.floor(totalMinutes / 1440);
+  const remainder = totalMinutes % 1440;
+  const hours = Math.floor(remainder / 60);
+  const minutes = remainder % 60;
+  return `${days}d ${hours}h ${minutes}m`;
+}
+
+export function formatUsd(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
+  return `$${value.toFixed(2)}`;
+}
+
+function buildLimitStatus(limit) {
+  const utilization =
+    typeof limit?.utilization === 'number' && Number.isFinite(limit.utilization)
+      ? limit.utilization
+      : null;
+  return {
+    utilization,
+    percent: clampPercent(utilization),
+    full: utilization !== null && utilization >= 100,
+    ok: !!limitOk(limit),
+    resetsAt: limit?.resets_at ?? null,
+  };
+}
+
+function formatLimitText(label, limit) {
+  if (limit.full) return `${label}: ${formatResetTime(limit.resetsAt)}`;
+  if (limit.percent === null) return `${label}: n/a`;
+  return `${label}: ${Math.round(limit.percent)}%`;
+}
+
+function buildAuthStatus(limitsInfo) {
+  const auth = limitsInfo?.auth;
+  let state = 'missing';
+  if (auth?.provider) state = limitsInfo.errorCode === 'token_expired' ? 'token_expired' : 'ok';
+  return {
+    state,
+    provider: auth?.provider ?? null,
+    attempts: Array.isArray(auth?.attempts) ? auth.attempts : [],
+    refresh: auth?.refresh ?? null,
+  };
+}
+
+const RECENT_FAILURE_MS = 24 * 60 * 60 * 1000;
+
+function buildKeepaliveStatus(state, now) {
+  const paused = !!(state.pauseUntil && now < state.pauseUntil);
+  const lastResult = state.lastHelloResult;
+  let keepaliveState = 'on';
+  if (state.stopped) keepaliveState = 'stopped';
+  else if (paused) keepaliveState = 'paused';
+  return {
+    state: keepaliveState,
+    pauseUntil: paused ? state.pauseUntil : null,
+    lastLaunch: state.lastLaunch,
+    history: state.history,
+    lastResult,
+    recentFailure: !!(
+      (lastResult?.status === 'failed' || lastResult?.status === 'unconfirmed') &&
+      now - lastResult.at < RECENT_FAILURE_MS
+    ),
+    helloStats: state.helloStats,
+  };
+}
+
+async function buildActivityStatus(config, now) {
+  const snapshot = config.transcriptPath ? null : await loadTranscriptSnapshot(config);
+  const lastActivity = await getLatestActivityTimestamp(config, snapshot);
+  const sessions = await listSessions(config, undefined, snapshot);
+  const activeWindowMs = config.activeMinutes * 60 * 1000;
+  const sleepIntervals = await readSleepIntervals();
+  return {
+    active:
+      sessions.some((session) => session.active) ||
+      !!(lastActivity && awakeMsBetween(lastActivity, now, sleepIntervals) <= activeWindowMs),
+    lastActivity,
+    lastCwd: await getLatestActivityCwd(config, snapshot),
+    sessionStart: await getSessionStartTimestamp(config, snapshot),
+    sessionWindowMinutes: config.sessionWindowMinutes,
+    sessions,
+  };
+}
+
+// Limits, credentials and keeper state belong to one account (the active profile, if any).
+async function buildAccountStatus(config, activity) {
+  const limitsInfo = await fetchUsageLimits({
+    allowStale: true,
+    allowCache: true,
+    maxAgeMinutes: 360,
+  });
+  const extraUsageInfo = await fetchExtraUsageStatus({
+    allowStale: true,
+    allowCache: true,
+    maxAgeMinutes: 360,
+  });
+  const state = await readState();
+
+  const now = Date.now();
+  const series = await readLimitsSeries(now - 7 * 24 * 60 * 60 * 1000);
+  const limits = limitsInfo?.limits ?? null;
+  const fiveHour = buildLimitStatus(limits?.five_hour);
+  const sevenDay = buildLimitStatus(limits?.seven_day);
+
+  let headerState = 'Idle';
+  if (!limits) headerState = limitsInfo?.stale ? 'Cached' : 'Unknown';
+  else if (fiveHour.full || sevenDay.full) headerState = 'Limit';
+  else if (limitsInfo?.stale) headerState = 'Cached';
+  else if (activity.active) headerState = 'Active';
+
+  return {
+    headerState,
+    fiveText: formatLimitText('5h', fiveHour),
+    sevenText: formatLimitText('7d', sevenDay),
+    activity,
+    limits: {
+      state: limitsInfo?.stale ? 'cached' : limits ? 'live' : 'unknown',
+      ok: !!(limits && fiveHour.ok && sevenDay.ok),
+      stale: !!limitsInfo?.stale,
+      ageMinutes: limitsInfo?.ageMinutes ?? null,
+      errorCode: limitsInfo?.errorCode ?? null,
+      fiveHour,
+      sevenDay,
+      trend: buildLimitsTrend(series, fiveHour.resetsAt, now),
+    },
+    auth: buildAuthStatus(limitsInfo),
+    extraUsage: {
+      enabled: typeof extraUsageInfo?.enabled === 'boolean' ? extraUsageInfo.enabled : null,
+      stale: !!extraUsageInfo?.stale,
+      ageMinutes: extraUsageInfo?.ageMinutes ?? null,
+      errorCode: extraUsageInfo?.errorCode ?? null,
+    },
+    keepalive: buildKeepaliveStatus(state, now),
+    schedule: evaluateSchedule(config, now),
+    plan: planWindowAlignment(config, limits?.five_hour, now, {
+      graceMinutes: config.intervalMinutes,
+    }),
+  };
+}
+
+const HEADER_STATE_RANK = ['Idle', 'Active', 'Cached', 'Limit', 'Unknown'];
+
+function formatProfileText(account) {
+  const short = (limit) => (limit.percent === null ? 'n/a' : `${Math.round(limit.percent)}%`);
+  return `${account.name} ${short(account.limits.fiveHour)}/${short(account.limits.sevenDay)}`;
+}
+
+export async function buildStatusModel(options = {}) {
+  const loaded = options.config ? null : loadConfig();
+  const config = options.config || loaded.config;
+  const configErrors = options.configErrors || loaded?.errors || [];
+  const configPath = options.configPath || loaded?.configPath || null;
+
+  const now = Date.now();
+  // Activity and cost cover every profile's transcripts; the rest is per account.
+  const activity = await buildActivityStatus(config, now);
+  const profiles = [];
+  for (const profile of getProfiles()) {
+    const profileConfig = { ...config, ...profile.settings };
+    const account = await runWithProfile(profile, async () =>
+      buildAccountStatus(profileConfig, await buildActivityStatus(profileConfig, now))
+    );
+    profiles.push({ name: profile.name, ...account });
+  }
+  // With profiles, the top-level account fields describe the first (primary) profile.
+  const primary = profiles[0] || (await buildAccountStatus(config, activity));
+  let usageSummary = null;
+  try {
+    usageSummary = await updateUsageHistory();
+  } catch {
+    usageSummary = null;
+  }
+  const budget = evaluateBudgets(config, usageSummary);
+
+  const costText =
+    usageSummary?.ok && Number.isFinite(usageSummary.dayCost)
+      ? formatUsd(usageSummary.dayCost)
+      : null;
+  const titleParts = (
+    profiles.length > 1
+      ? [costText, ...profiles.map(formatProfileText)]
+      : [costText, primary.fiveText, primary.sevenText]
+  ).filter(Boolean);
+  const headerState = (profiles.length ? profiles : [primary])
+    .map((account) => account.headerState)
+    .reduce((worst, state) =>
+      HEADER_STATE_RANK.indexOf(state) > HEADER_STATE_RANK.indexOf(worst) ? state : worst
+    );
+
+  return {
+    generatedAt: now,
+    header: {
+      state: headerState,
+      text: titleParts.length ? titleParts.join('  ') : 'Claude',
+      cost: costText,
+      costLevel: budget.level,
+      fiveHour: primary.fiveText,
+      sevenDay: primary.sevenText,
+    },
+    activity,
+    limits: primary.limits,
+    auth: primary.auth,
+    extraUsage: primary.extraUsage,
+    usage: usageSummary,
+    budget,
+    keepalive: primary.keepalive,
+    daemon: readKeeperStatus(now),
+    schedule: primary.schedule,
+    plan: primary.plan,
+    profiles: profiles.map(({ headerState: state, fiveText, sevenText, ...account }) => ({
+      ...account,
+      header: { state, fiveHour: fiveText, sevenDay: sevenText },
+    })),
+    config: { path: configPath, errors: configErrors },
+  };
+}
+
+function renderText(model) {
+  const lines = [];
+  lines.push(`Claude: ${model.header.state}  ${model.header.text}`);
+  const formatAuth = (auth) => (auth.provider ? `${auth.state} (${auth.provider})` : auth.state);
+  const daemon = model.daemon.running ? `running (pid ${model.daemon.pid})` : 'not running';
+  if (model.profiles.length) {
+    lines.push(`Loop: ${daemon}`);
+    for (const profile of model.profiles) {
+      lines.push(
+        `[${profile.name}] ${profile.header.fiveHour}  ${profile.header.sevenDay} · Auth: ${formatAuth(profile.auth)} · Limits: ${profile.limits.state} · Keepalive: ${profile.keepalive.state}`
+      );
+    }
+  } else {
+    lines.push(
+      `Auth: ${formatAuth(model.auth)} · Limits: ${model.limits.state} · Keepalive: ${model.keepalive.state} · Loop: ${daemon}`
+    );
+  }
+  const activeCount = model.activity.sessions.filter((session) => session.active).length;
+  lines.push(
+    `Last activity: ${formatAge(model.activity.lastActivity)} · Sessions: ${activeCount} active / ${model.activity.sessions.length}`
+  );
+  if (model.usage?.ok) {
+    lines.push(
+      `Usage today: ${formatUsd(model.usage.dayCost)} · ${model.usage.monthKey}: ${formatUsd(model.usage.monthCost)}`
+    );
+  }
+  for (const entry of model.budget.periods) {
+    lines.push(
+      `Budget ${entry.label}: ${formatUsd(entry.spentUsd)} of ${formatUsd(entry.budgetUsd)} (${Math.round(entry.percent)}%, ${entry.level}) · ${formatUsd(entry.remainingUsd)} left`
+    );
+  }
+  for (const error of model.config.errors) {
+    lines.push(`Config error: ${error}`);
+  }
+  return lines.join('\n');
+}
+
+export async function statusCli(argv) {
+  const args = argv[0] === 'status' ? argv.slice(1) : argv;
+  const unknown = args.filter((arg) => arg !== '--json');
+  if (unknown.length) {
+    console.error(`Unknown argument(s): ${unknown.join(' ')}`);
+    console.error('Usage: status [--json]');
+    process.exit(1);
+  }
+  const model = await buildStatusModel();
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(model, null, 2));
+  } else {
+    console.log(renderText(model));
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  statusCli(process.argv.slice(2)).catch((err) => {
+    console.error(JSON.stringify({ ok: false, reason: err?.message || 'error' }));
+    process.exit(1);
+  });
+}
@@ -1,16 +1,33 @@
 #!/usr/bin/env node
 
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, writeFile, mkdir, open, rename } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import { spawnSync } from 'child_process';
+import {
+  extractEntryCwd,
+  findTranscriptFiles,
+  getSearchDirs,
+  getSettings,
+  isMainModule,
+} from './active-session-core.js';
 
 const HOME = os.homedir();
 const CACHE_DIR = path.join(HOME, '.cache', 'claude-dashboard');
 const DEFAULT_HISTORY_PATH = path.join(CACHE_DIR, 'usage-history.json');
 const CCUSAGE_CACHE_PATH = path.join(CACHE_DIR, 'ccusage-cache.json');
+const NATIVE_USAGE_CACHE_PATH = path.join(CACHE_DIR, 'native-usage-cache.json');
+const NATIVE_USAGE_CACHE_VERSION = 2;
+const HISTORY_VERSION = 2;
+const MENU_PROJECT_COUNT = 8;
+const FORECAST_TRAILING_DAYS = 28;
+// Below two samples per weekday, per-weekday rates are noise; the plain average is used instead.
+const FORECAST_MIN_WEEKDAY_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NATIVE_READ_CHUNK_BYTES = 4 * 1024 * 1024;
+const DAILY_HISTORY_KEEP = 120;
 const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
 const DEFAULT_PRICING_PATH = path.resolve(SCRIPT_DIR, '..', 'config', 'pricing.json');
 const DEFAULT_CCUSAGE_CACHE_MINUTES = 0;
@@ -30,6 +47,26 @@ function toLocalMonthKey(date) {
   return `${year}-${month}`;
 }
 
+// Weeks start on Monday; the key is that Monday's date.
+function toLocalWeekKey(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return toLocalDateKey(monday);
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function startOfLocalDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
 
 function readJsonSafe(filePath) {
   return readFile(filePath, 'utf-8').then((raw) => JSON.parse(raw)).catch(() => null);
@@ -57,11 +94,11 @@ function getCacheReadRate(pricing, baseInput, modelRates) {
 function getCacheWriteRate(pricing, baseInput, modelRates) {
   if (typeof modelRates?.cacheWrite === 'number') return modelRates.cacheWrite;
   if (typeof modelRates?.cacheWrite5m === 'number' || typeof modelRates?.cacheWrite1h === 'number') {
-    const mode = (process.env.CACHE_WRITE_MODE || pricing?.cache?.writeMode || '5m').toLowerCase();
+    const mode = (getSettings().cacheWriteMode || pricing?.cache?.writeMode || '5m').toLowerCase();
     if (mode === '1h' && typeof modelRates.cacheWrite1h === 'number') return modelRates.cacheWrite1h;
     if (mode === '5m' && typeof modelRates.cacheWrite5m === 'number') return modelRates.cacheWrite5m;
   }
-  const mode = (process.env.CACHE_WRITE_MODE || pricing?.cache?.writeMode || '5m').toLowerCase();
+  const mode = (getSettings().cacheWriteMode || pricing?.cache?.writeMode || '5m').toLowerCase();
   const multiplier =
     mode === '1h'
       ? pricing?.cache?.writeMultiplier1h ?? 2
@@ -112,10 +149,52 @@ function computeCost(deltaByModel, pricing) {
   return { total, perModel, missing };
 }
 
+function mergeProjectMap(target, source) {
+  if (!source) return;
+  for (const [project, models] of Object.entries(source)) {
+    if (!target[project]) target[project] = {};
+    mergeModelMap(target[project], models);
+  }
+}
+
 function computeCostFromModels(models, pricing) {
-  if (!models || !pricing) return { total: 0, missing: [] };
-  const { total, missing } = computeCost(models, pricing);
-  return { total, missing };
+  if (!models || !pricing) return { total: 0, perModel: {}, missing: [] };
+  return computeCost(models, pricing);
+}
+
+// cost is null for models without pricing.
+function buildModelBreakdown(models, pricing) {
+  const { perModel } = computeCostFromModels(models, pricing);
+  const breakdown = {};
+  for (const [model, tokens] of Object.entries(models)) {
+    breakdown[model] = {
+      cost: perModel[model] ?? null,
+      input: tokens.input || 0,
+      output: tokens.output || 0,
+      cacheRead: tokens.cacheRead || 0,
+      cacheWrite: tokens.cacheWrite || 0,
+    };
+  }
+  return breakdown;
+}
+
+function totalTokens(tokens) {
+  return tokens.input + tokens.output + tokens.cacheRead + tokens.cacheWrite;
+}
+
+// Projects sorted by cost (or by total tokens without pricing), most expensive first.
+function buildProjectBreakdown(projects, pricing) {
+  return Object.entries(projects || {})
+    .map(([project, models]) => {
+      const tokens = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+      for (const entry of Object.values(models)) addModelTokens(tokens, entry);
+      return {
+        project,
+        cost: pricing ? computeCost(models, pricing).total : null,
+        ...tokens,
+      };
+    })
+    .sort((a, b) => (b.cost ?? 0) - (a.cost ?? 0) || totalTokens(b) - totalTokens(a));
 }
 
 function trimHistoryKeys(obj, keepCount) {
@@ -248,7 +327,7 @@ function splitCommand(cmd) {
 }
 
 function resolveCcusageCommand() {
-  const cmdRaw = process.env.CCUSAGE_CMD || 'ccusage';
+  const cmdRaw = getSettings().ccusageCommand || 'ccusage';
   const base = splitCommand(cmdRaw);
   if (!base.length) return null;
   const cmd = base[0];
@@ -264,10 +343,11 @@ function resolveCcusageCommand() {
 }
 
 function runCcusage(args) {
-  const cmdRaw = process.env.CCUSAGE_CMD || 'ccusage';
+  const settings = getSettings();
+  const cmdRaw = settings.ccusageCommand || 'ccusage';
   const base = resolveCcusageCommand() || splitCommand(cmdRaw);
   if (!base.length) return null;
-  const extraArgs = process.env.CCUSAGE_ARGS ? splitCommand(process.env.CCUSAGE_ARGS) : [];
+  const extraArgs = settings.ccusageArgs ? splitCommand(settings.ccusageArgs) : [];
   const pathParts = [
     process.env.PATH,
     '/opt/homebrew/bin',
@@ -385,7 +465,7 @@ function computeCcusageSummary(dailyRows, monthlyRows, now) {
 }
 
 async function fetchCcusageSummary(now) {
-  const cacheMinutes = Number(process.env.CCUSAGE_CACHE_MINUTES || DEFAULT_CCUSAGE_CACHE_MINUTES);
+  const cacheMinutes = Number(getSettings().ccusageCacheMinutes ?? DEFAULT_CCUSAGE_CACHE_MINUTES);
   if (Number.isFinite(cacheMinutes) && cacheMinutes > 0) {
     const cached = await readCcusageCache(cacheMinutes);
     if (cached) {
@@ -434,79 +514,272 @@ async function fetchCcusageSummary(now) {
   return data;
 }
 
+function extractUsageEntry(entry) {
+  const usage = entry?.message?.usage;
+  if (!usage || typeof usage !== 'object') return null;
+  const model = entry?.message?.model;
+  if (!model || typeof model !== 'string' || model === '<synthetic>') return null;
+  const ts = entry?.timestamp ? new Date(entry.timestamp) : null;
+  if (!ts || Number.isNaN(ts.getTime())) return null;
+  const messageId = entry?.message?.id || null;
+  const requestId = entry?.requestId || entry?.request_id || null;
+  return {
+    key: messageId || requestId ? `${messageId || ''}:${requestId || ''}` : null,
+    dateKey: toLocalDateKey(ts),
+    model,
+    tokens: {
+      input: Number(usage.input_tokens) || 0,
+      output: Number(usage.output_tokens) || 0,
+      cacheRead: Number(usage.cache_read_input_tokens) || 0,
+      cacheWrite: Number(usage.cache_creation_input_tokens) || 0,
+    },
+  };
+}
+
+async function scanTranscriptLines(filePath, fromOffset, size, onEntry) {
+  const fh = await open(filePath, 'r');
+  let position = fromOffset;
+  let consumed = fromOffset;
+  let carry = Buffer.alloc(0);
+  try {
+    while (position < size) {
+      const length = Math.min(NATIVE_READ_CHUNK_BYTES, size - position);
+      const chunk = Buffer.alloc(length);
+      const { bytesRead } = await fh.read(chunk, 0, length, position);
+      if (!bytesRead) break;
+      position += bytesRead;
+      const data = carry.length
+        ? Buffer.concat([carry, chunk.subarray(0, bytesRead)])
+        : chunk.subarray(0, bytesRead);
+      const lastNewline = data.lastIndexOf(0x0a);
+      if (lastNewline < 0) {
+        carry = data;
+        continue;
+      }
+      const lines = data.subarray(0, lastNewline).toString('utf-8').split('\n');
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        try {
+          onEntry(JSON.parse(trimmed));
+        } catch {
+          // ignore malformed line
+        }
+      }
+      consumed = position - (data.length - lastNewline - 1);
+      carry = data.subarray(lastNewline + 1);
+    }
+  } finally {
+    await fh.close();
+  }
+  // A trailing partial line is left unconsumed and re-read on the next run.
+  return consumed;
+}
+
+// Usage read before a transcript's first cwd line (or from one that never records a cwd) is keyed
+// by the project folder name. Once a transcript in that folder reveals its cwd, the folder key is
+// merged into it, so one project never shows up under two names.
+function resolveFolderProjects(cache) {
+  const folderCwds = {};
+  for (const [filePath, entry] of Object.entries(cache.files)) {
+    if (entry.cwd) folderCwds[path.basename(path.dirname(filePath))] = entry.cwd;
+  }
+  let changed = false;
+  for (const day of Object.values(cache.daily)) {
+    for (const [project, models] of Object.entries(day.projects || {})) {
+      const cwd = folderCwds[project];
+      if (!cwd || cwd === project) continue;
+      delete day.projects[project];
+      mergeProjectMap(day.projects, { [cwd]: models });
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Several bar refreshes can collect at once; a rename never leaves a half-written cache behind.
+async function writeFileAtomic(filePath, content) {
+  await mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, content, { mode: 0o600 });
+  await rename(tmpPath, filePath);
+}
+
+async function collectNativeUsage(now) {
+  const cached = await readJsonSafe(NATIVE_USAGE_CACHE_PATH);
+  const cache =
+    cached?.version === NATIVE_USAGE_CACHE_VERSION
+      ? cached
+      : { version: NATIVE_USAGE_CACHE_VERSION, files: {}, seen: {}, daily: {} };
+  const cutoffKey = toLocalDateKey(
+    new Date(now.getTime() - DAILY_HISTORY_KEEP * 24 * 60 * 60 * 1000)
+  );
+  const files = await findTranscriptFiles(getSearchDirs(), getSettings().maxDepth);
+  let changed = false;
+
+  for (const file of files) {
+    const previous = cache.files[file.path];
+    if (previous && previous.size === file.size && previous.mtimeMs === file.mtimeMs) continue;
+    const fromOffset = previous && file.size >= previous.size ? previous.offset : 0;
+    // Usage is attributed to the latest cwd seen in the transcript; until one shows up, the project
+    // folder name stands in (see resolveFolderProjects).
+    let cwd = fromOffset ? previous.cwd ?? null : null;
+    const folderProject = path.basename(path.dirname(file.path));
+    try {
+      const offset = await scanTranscriptLines(file.path, fromOffset, file.size, (entry) => {
+        cwd = extractEntryCwd(entry) || cwd;
+        const usage = extractUsageEntry(entry);
+        if (!usage || usage.dateKey < cutoffKey) return;
+        if (usage.key) {
+          if (cache.seen[usage.key]) return;
+          cache.seen[usage.key] = usage.dateKey;
+        }
+        if (!cache.daily[usage.dateKey]) cache.daily[usage.dateKey] = { models: {}, projects: {} };
+        const day = cache.daily[usage.dateKey];
+        mergeModelMap(day.models, { [usage.model]: usage.tokens });
+        mergeProjectMap(day.projects, { [cwd || folderProject]: { [usage.model]: usage.tokens } });
+      });
+      cache.files[file.path] = { size: file.size, mtimeMs: file.mtimeMs, offset, cwd };
+      changed = true;
+    } catch {
+      // ignore unreadable transcript
+    }
+  }
+
+  if (resolveFolderProjects(cache)) changed = true;
+
+  const livePaths = new Set(files.map((file) => file.path));
+  for (const filePath of Object.keys(cache.files)) {
+    if (!livePaths.has(filePath)) {
+      delete cache.files[filePath];
+      changed = true;
+    }
+  }
+  // Message ids only matter for days that are still collected, so they expire with the days.
+  for (const [key, dateKey] of Object.entries(cache.seen)) {
+    if (dateKey >= cutoffKey) continue;
+    delete cache.seen[key];
+    changed = true;
+  }
+  for (const dateKey of Object.keys(cache.daily)) {
+    if (dateKey >= cutoffKey) continue;
+    delete cache.daily[dateKey];
+    changed = true;
+  }
+
+  if (changed) {
+    try {
+      await writeFileAtomic(NATIVE_USAGE_CACHE_PATH, JSON.stringify(cache));
+    } catch {
+      // ignore
+    }
+  }
+
+  return { daily: cache.daily, fileCount: files.length };
+}
+
+function resolveUsageSource(explicit) {
+  const value = String(explicit || getSettings().usageSource || 'native').toLowerCase();
+  return value === 'ccusage' ? 'ccusage' : 'native';
+}
+
+function applyCcusageRows(history, dailyRows, now) {
+  const todayKey = toLocalDateKey(now);
+  for (const row of dailyRows || []) {
+    const isPastDay = row.date < todayKey;
+    const existing = history.daily[row.date];
+    if (isPastDay && existing) continue;
+    let models = {};
+    if (row.modelBreakdowns && row.modelBreakdowns.length > 0) {
+      for (const breakdown of row.modelBreakdowns) {
+        const modelName = breakdown?.modelName || 'unknown';
+        models[modelName] = {
+          input: Number(breakdown?.inputTokens) || 0,
+          output: Number(breakdown?.outputTokens) || 0,
+          cacheRead: Number(breakdown?.cacheReadTokens) || 0,
+          cacheWrite: Number(breakdown?.cacheCreationTokens) || 0,
+        };
+      }
+    } else if (row.modelsUsed && row.modelsUsed.length === 1) {
+      const modelName = row.modelsUsed[0];
+      models[modelName] = {
+        input: row.inputTokens,
+        output: row.outputTokens,
+        cacheRead: row.cacheReadTokens,
+        cacheWrite: row.cacheCreationTokens,
+      };
+    } else {
+      models.unknown = {
+        input: row.inputTokens,
+        output: row.outputTokens,
+        cacheRead: row.cacheReadTokens,
+        cacheWrite: row.cacheCreationTokens,
+      };
+    }
+    history.daily[row.date] = {
+      ...existing,
+      models,
+      source: 'ccusage',
+      updatedAt: now.toISOString(),
+    };
+  }
+}
+
+function applyNativeDaily(history, daily, now) {
+  for (const [dateKey, entry] of Object.entries(daily || {})) {
+    history.daily[dateKey] = {
+      ...history.daily[dateKey],
+      models: entry.models,
+      projects: entry.projects,
+      source: 'native',
+      updatedAt: now.toISOString(),
+    };
+  }
+}
+
 function computeMonthlyFromDaily(dailyMap) {
   const monthly = {};
   for (const [dayKey, entry] of Object.entries(dailyMap || {})) {
     if (!dayKey || !entry?.models) continue;
     const monthKey = dayKey.slice(0, 7);
     if (!monthly[monthKey]) {
-      monthly[monthKey] = { models: {}, source: entry.source || 'unknown' };
+      monthly[monthKey] = { models: {}, projects: {}, source: entry.source || 'unknown' };
     }
     mergeModelMap(monthly[monthKey].models, entry.models);
+    mergeProjectMap(monthly[monthKey].projects, entry.projects);
     monthly[monthKey].updatedAt = entry.updatedAt || monthly[monthKey].updatedAt;
   }
   return monthly;
 }
 
-export async function updateUsageHistory(options = {}) {
+// Also hands back the stored history and the pricing it was costed with, for the CLIs that report
+// more than the summary.
+async function refreshUsageHistory(options = {}) {
   const historyPath = options.historyPath || DEFAULT_HISTORY_PATH;
-  const pricingPath = options.pricingPath || process.env.CLAUDE_PRICING_PATH || DEFAULT_PRICING_PATH;
+  const pricingPath = options.pricingPath || getSettings().pricingPath || DEFAULT_PRICING_PATH;
   const now = options.now instanceof Date ? options.now : new Date();
+  const source = resolveUsageSource(options.source);
 
-  const ccusageSummary = await fetchCcusageSummary(now);
   const pricing = await refreshPricingIfStale(pricingPath);
-  const history = (await readJsonSafe(historyPath)) || { version: 1, daily: {}, monthly: {} };
-
-  if (!ccusageSummary) {
-    return { ok: false, reason: 'ccusage_missing', historyPath };
-  }
-  const todayKey = toLocalDateKey(now);
+  const history = (await readJsonSafe(historyPath)) || { daily: {}, monthly: {} };
+  // Version 2 added per-project token maps (`projects`) to daily and monthly entries.
+  history.version = HISTORY_VERSION;
 
-  if (ccusageSummary.dailyRows) {
-    for (const row of ccusageSummary.dailyRows) {
-      const isPastDay = row.date < todayKey;
-      const existing = history.daily[row.date];
-      if (isPastDay && existing) continue;
-      let models = {};
-      if (row.modelBreakdowns && row.modelBreakdowns.length > 0) {
-        for (const breakdown of row.modelBreakdowns) {
-          const modelName = breakdown?.modelName || 'unknown';
-          models[modelName] = {
-            input: Number(breakdown?.inputTokens) || 0,
-            output: Number(breakdown?.outputTokens) || 0,
-            cacheRead: Number(breakdown?.cacheReadTokens) || 0,
-            cacheWrite: Number(breakdown?.cacheCreationTokens) || 0,
-          };
-        }
-      } else if (row.modelsUsed && row.modelsUsed.length === 1) {
-        const modelName = row.modelsUsed[0];
-        models[modelName] = {
-          input: row.inputTokens,
-          output: row.outputTokens,
-          cacheRead: row.cacheReadTokens,
-          cacheWrite: row.cacheCreationTokens,
-        };
-      } else {
-        models.unknown = {
-          input: row.inputTokens,
-          output: row.outputTokens,
-          cacheRead: row.cacheReadTokens,
-          cacheWrite: row.cacheCreationTokens,
-        };
-      }
-      history.daily[row.date] = {
-        ...existing,
-        models,
-        source: 'ccusage',
-        updatedAt: now.toISOString(),
-      };
+  if (source === 'ccusage') {
+    const ccusageSummary = await fetchCcusageSummary(now);
+    if (!ccusageSummary) {
+      return { summary: { ok: false, reason: 'ccusage_missing', source, historyPath } };
     }
+    applyCcusageRows(history, ccusageSummary.dailyRows, now);
+  } else {
+    const nativeUsage = await collectNativeUsage(now);
+    applyNativeDaily(history, nativeUsage.daily, now);
   }
 
   history.monthly = computeMonthlyFromDaily(history.daily, now);
 
   history.lastUpdated = now.toISOString();
-  history.daily = trimHistoryKeys(history.daily, 120);
+  history.daily = trimHistoryKeys(history.daily, DAILY_HISTORY_KEEP);
   history.monthly = trimHistoryKeys(history.monthly, 24);
 
   await mkdir(path.dirname(historyPath), { recursive: true, mode: 0o700 });
@@ -514,11 +787,115 @@ export async function updateUsageHistory(options = {}) {
 
   const summary = summarizeUsage(history, now, pricing);
   summary.ok = true;
-  summary.source = 'ccusage';
+  summary.source = source;
   summary.missingPricing = pricing ? summary.missingPricing : [];
   summary.pricingLoaded = !!pricing;
   summary.historyPath = historyPath;
-  return summary;
+  return { summary, history, pricing };
+}
+
+export async function updateUsageHistory(options = {}) {
+  return (await refreshUsageHistory(options)).summary;
+}
+
+function dailyCost(history, dateKey, pricing) {
+  return computeCostFromModels(history?.daily?.[dateKey]?.models, pricing).total;
+}
+
+// Days without an entry count as $0, but only from the first recorded day on.
+function rangeCost(history, pricing, from, to) {
+  const fromKey = toLocalDateKey(from);
+  const toKey = toLocalDateKey(to);
+  const keys = Object.keys(history?.daily || {}).sort();
+  const cost = keys
+    .filter((key) => key >= fromKey && key <= toKey)
+    .reduce((sum, key) => sum + dailyCost(history, key, pricing), 0);
+  return { cost, complete: keys.length > 0 && keys[0] <= fromKey };
+}
+
+function compareRanges(current, previous) {
+  return {
+    current: current.cost,
+    previous: previous.complete ? previous.cost : null,
+    changePercent:
+      previous.complete && previous.cost > 0
+        ? ((current.cost - previous.cost) / previous.cost) * 100
+        : null,
+  };
+}
+
+// Last 7 days against the 7 before, and month-to-date against the same days of last month.
+export function computeUsageTrend(history, now = new Date(), pricing = null) {
+  if (!pricing) return null;
+  const today = startOfLocalDay(now);
+  const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  const previousMonthStart = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  const previousMonthDays = new Date(today.getFullYear(), today.getMonth(), 0).getDate();
+  const previousMonthEnd = new Date(
+    previousMonthStart.getFullYear(),
+    previousMonthStart.getMonth(),
+    Math.min(today.getDate(), previousMonthDays)
+  );
+  return {
+    weekOverWeek: compareRanges(
+      rangeCost(history, pricing, addDays(today, -6), today),
+      rangeCost(history, pricing, addDays(today, -13), addDays(today, -7))
+    ),
+    monthOverMonth: compareRanges(
+      rangeCost(history, pricing, monthStart, today),
+      rangeCost(history, pricing, previousMonthStart, previousMonthEnd)
+    ),
+  };
+}
+
+// Month-to-date cost plus the expected cost of the rest of the month. Each remaining day gets the
+// trailing average of its weekday (or of all days while history is short); the band is a 95%
+// interval from how far the sampled days strayed from those rates.
+export function forecastMonthEnd(history, now = new Date(), pricing = null) {
+  const keys = Object.keys(history?.daily || {}).sort();
+  if (!pricing || !keys.length) return null;
+  const today = startOfLocalDay(now);
+  const samples = [];
+  for (let offset = 1; offset <= FORECAST_TRAILING_DAYS; offset += 1) {
+    const day = addDays(today, -offset);
+    const dateKey = toLocalDateKey(day);
+    if (dateKey < keys[0]) break;
+    samples.push({ weekday: day.getDay(), cost: dailyCost(history, dateKey, pricing) });
+  }
+  if (!samples.length) return null;
+
+  const average = mean(samples.map((sample) => sample.cost));
+  const byWeekday = samples.length >= FORECAST_MIN_WEEKDAY_DAYS;
+  const rateFor = (weekday) => {
+    const same = samples.filter((sample) => sample.weekday === weekday);
+    return byWeekday && same.length ? mean(same.map((sample) => sample.cost)) : average;
+  };
+  const squares = samples.map((sample) => (sample.cost - rateFor(sample.weekday)) ** 2);
+  const deviation =
+    samples.length > 1
+      ? Math.sqrt(squares.reduce((sum, value) => sum + value, 0) / (samples.length - 1))
+      : 0;
+
+  const monthKey = toLocalMonthKey(now);
+  const monthToDate = computeCostFromModels(history.monthly?.[monthKey]?.models, pricing).total;
+  let remainingDays = 1 - (now.getTime() - today.getTime()) / DAY_MS;
+  let expected = rateFor(today.getDay()) * remainingDays;
+  for (let day = addDays(today, 1); day.getMonth() === today.getMonth(); day = addDays(day, 1)) {
+    expected += rateFor(day.getDay());
+    remainingDays += 1;
+  }
+  const margin = 1.96 * deviation * Math.sqrt(remainingDays);
+  return {
+    monthKey,
+    monthToDate,
+    projected: monthToDate + expected,
+    low: monthToDate + Math.max(0, expected - margin),
+    high: monthToDate + expected + margin,
+    method: byWeekday ? 'weekday' : 'average',
+    sampleDays: samples.length,
+    dailyAverage: average,
+    remainingDays: Number(remainingDays.toFixed(2)),
+  };
 }
 
 export function summarizeUsage(history, now = new Date(), pricing = null) {
@@ -530,14 +907,27 @@ export function summarizeUsage(history, now = new Date(), pricing = null) {
     const models = history.daily[key]?.models || {};
     return sum + computeCostFromModels(models, pricing).total;
   }, 0);
+  const last3Models = {};
+  for (const key of last3) {
+    mergeModelMap(last3Models, history.daily[key]?.models);
+  }
   const monthModels = history?.monthly?.[monthKey]?.models || {};
   const monthCost = computeCostFromModels(monthModels, pricing).total;
   const dayModels = history?.daily?.[dayKey]?.models || {};
   const dayCost = computeCostFromModels(dayModels, pricing).total;
+  const weekKey = toLocalWeekKey(now);
+  const weekCost = dailyKeys
+    .filter((key) => key >= weekKey && key <= dayKey)
+    .reduce((sum, key) => sum + computeCostFromModels(history.daily[key]?.models, pricing).total, 0);
   const allTimeCost = Object.values(history?.monthly || {}).reduce((sum, entry) => {
     const models = entry?.models || {};
     return sum + computeCostFromModels(models, pricing).total;
   }, 0);
+  const allTimeModels = {};
+  for (const entry of Object.values(history?.monthly || {})) {
+    mergeModelMap(allTimeModels, entry?.models);
+  }
+  const monthProjects = buildProjectBreakdown(history?.monthly?.[monthKey]?.projects, pricing);
 
   const missing = new Set();
   if (pricing) {
@@ -563,8 +953,17 @@ export function summarizeUsage(history, now = new Date(), pricing = null) {
     monthKey,
     dayCost,
     last3Cost,
+    weekKey,
+    weekCost,
     monthCost,
     allTimeCost,
+    dayModels: buildModelBreakdown(dayModels, pricing),
+    last3Models: buildModelBreakdown(last3Models, pricing),
+    monthModels: buildModelBreakdown(monthModels, pricing),
+    allTimeModels: buildModelBreakdown(allTimeModels, pricing),
+    forecast: forecastMonthEnd(history, now, pricing),
+    monthProjects: monthProjects.slice(0, MENU_PROJECT_COUNT),
+    monthProjectCount: monthProjects.length,
     missingPricing: Array.from(missing),
     historyPath: history?.historyPath || null,
   };
@@ -579,8 +978,107 @@ export async function updateUsageHistoryCli() {
   console.log(JSON.stringify(summary, null, 2));
 }
 
-if (import.meta.url === `file://${process.argv[1]}`) {
-  updateUsageHistoryCli().catch((err) => {
+function formatProjectRows(rows) {
+  const cost = (value) => (value === null ? 'n/a' : `$${value.toFixed(2)}`);
+  const width = Math.max(0, ...rows.map((row) => cost(row.cost).length));
+  const lines = rows.map((row) => `  ${cost(row.cost).padStart(width)}  ${row.project}`);
+  if (rows.length > 1 && rows[0].cost !== null) {
+    const total = rows.reduce((sum, row) => sum + row.cost, 0);
+    lines.push(`  ${cost(total).padStart(width)}  total`);
+  }
+  return lines;
+}
+
+export async function projectBreakdownCli(args) {
+  const month = args.find((arg) => arg.startsWith('--month='))?.split('=')[1];
+  if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) {
+    console.error('--month expects YYYY-MM');
+    process.exit(1);
+  }
+  const { summary, history, pricing } = await refreshUsageHistory();
+  if (!summary?.ok) {
+    console.error(JSON.stringify({ ok: false, reason: summary?.reason || 'unknown' }));
+    process.exit(1);
+  }
+  const monthKey = month || summary.monthKey;
+  const result = {
+    ok: true,
+    month: monthKey,
+    pricingLoaded: !!pricing,
+    projects: buildProjectBreakdown(history.monthly?.[monthKey]?.projects, pricing),
+  };
+  if (args.includes('--daily')) {
+    result.days = Object.keys(history.daily || {})
+      .filter((dateKey) => dateKey.startsWith(monthKey))
+      .sort()
+      .map((date) => ({
+        date,
+        projects: buildProjectBreakdown(history.daily[date].projects, pricing),
+      }))
+      .filter((day) => day.projects.length);
+  }
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  if (!result.projects.length) {
+    console.log(`No per-project usage recorded for ${monthKey}.`);
+    return;
+  }
+  const lines = [`Usage by project, ${monthKey}${pricing ? '' : ' (no pricing loaded)'}`];
+  lines.push(...formatProjectRows(result.projects));
+  for (const day of result.days || []) {
+    lines.push('', day.date, ...formatProjectRows(day.projects));
+  }
+  console.log(lines.join('\n'));
+}
+
+function formatChange(comparison, label) {
+  if (comparison.previous === null) return `no history for ${label}`;
+  if (comparison.changePercent === null) return `nothing spent ${label}`;
+  const sign = comparison.changePercent >= 0 ? '+' : '';
+  return `${sign}${comparison.changePercent.toFixed(0)}% vs $${comparison.previous.toFixed(2)} ${label}`;
+}
+
+export async function forecastCli(args) {
+  const now = new Date();
+  const { summary, history, pricing } = await refreshUsageHistory({ now });
+  if (!summary?.ok) {
+    console.error(JSON.stringify({ ok: false, reason: summary?.reason || 'unknown' }));
+    process.exit(1);
+  }
+  const result = {
+    ok: true,
+    forecast: summary.forecast,
+    trend: computeUsageTrend(history, now, pricing),
+  };
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  const { forecast, trend } = result;
+  if (!forecast || !trend) {
+    console.log('No forecast: it needs pricing and at least one day of history before today.');
+    return;
+  }
+  const usd = (value) => `$${value.toFixed(2)}`;
+  console.log(
+    [
+      `Usage ${forecast.monthKey}: ${usd(forecast.monthToDate)} so far`,
+      `Forecast: ${usd(forecast.projected)} (95%: ${usd(forecast.low)}–${usd(forecast.high)})`,
+      `  from ${forecast.method === 'weekday' ? 'weekday averages' : 'the daily average'} over ${forecast.sampleDays} day(s), ${usd(forecast.dailyAverage)}/day`,
+      `Last 7 days: ${usd(trend.weekOverWeek.current)} (${formatChange(trend.weekOverWeek, 'the 7 days before')})`,
+      `Month to date: ${usd(trend.monthOverMonth.current)} (${formatChange(trend.monthOverMonth, 'the same days last month')})`,
+    ].join('\n')
+  );
+}
+
+const SUBCOMMANDS = { projects: projectBreakdownCli, forecast: forecastCli };
+
+if (isMainModule(import.meta.url)) {
+  const [command, ...args] = process.argv.slice(2);
+  const run = SUBCOMMANDS[command] ? SUBCOMMANDS[command](args) : updateUsageHistoryCli();
+  run.catch((err) => {
     console.error(JSON.stringify({ ok: false, reason: err?.message || 'error' }));
     process.exit(1);
   });
@@ -0,0 +1,253 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const {
+  STATE_VERSION,
+  awakeMsBetween,
+  getProfiles,
+  getSettings,
+  getStatePath,
+  loadConfig,
+  normalizeState,
+  readLastTranscriptCwd,
+  readLastTranscriptEntry,
+  readSessionStartTimestamp,
+  readState,
+  readTranscriptSessionId,
+  updateState,
+} = await import('../scripts/active-session-core.js');
+
+describe('loadConfig', () => {
+  const configPath = path.join(home, 'config', 'settings.json');
+  after(() => loadConfig());
+
+  function writeConfig(values) {
+    mkdirSync(path.dirname(configPath), { recursive: true });
+    writeFileSync(configPath, JSON.stringify(values));
+  }
+
+  test('prefers a CLI flag over the env var over the file over the default', () => {
+    writeConfig({ intervalMinutes: 20, activeMinutes: 30, cooldownMinutes: 40 });
+    const { config, sources, errors } = loadConfig({
+      configPath,
+      env: { INTERVAL_MINUTES: '15', ACTIVE_MINUTES: '25' },
+      argv: ['--interval-minutes=5', '--once'],
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(config.intervalMinutes, 5);
+    assert.equal(config.activeMinutes, 25);
+    assert.equal(config.cooldownMinutes, 40);
+    assert.equal(config.sessionWindowMinutes, 60);
+    assert.equal(sources.intervalMinutes, 'cli');
+    assert.equal(sources.activeMinutes, 'env');
+    assert.equal(sources.cooldownMinutes, 'file');
+    assert.equal(sources.sessionWindowMinutes, 'default');
+    // The loaded config becomes the one every module reads.
+    assert.equal(getSettings().intervalMinutes, 5);
+  });
+
+  test('reports invalid values and keeps the next source down for them', () => {
+    writeConfig({ intervalMinutes: 0, maxDepth: 'deep', nope: true, launchStrategy: 'stdin' });
+    const { config, errors } = loadConfig({
+      configPath,
+      env: { KEEPALIVE_LAUNCH_STRATEGY: 'telepathy' },
+      argv: ['--schedule=someday 25:00-26:00'],
+    });
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /intervalMinutes: must be >= 1$/);
+    assert.match(errors[1], /maxDepth: expected a number$/);
+    assert.match(errors[2], /unknown setting "nope"$/);
+    assert.match(errors[3], /^KEEPALIVE_LAUNCH_STRATEGY: expected one of headless, stdin$/);
+    assert.match(errors[4], /^--schedule: /);
+    assert.equal(config.intervalMinutes, 10);
+    assert.equal(config.maxDepth, 6);
+    assert.equal(config.launchStrategy, 'stdin');
+    assert.deepEqual(config.schedule, []);
+  });
+
+  test('reports a config file that is not a JSON object', () => {
+    writeFileSync(configPath, '[1, 2]');
+    assert.match(loadConfig({ configPath, env: {} }).errors[0], /expected a JSON object$/);
+    writeFileSync(configPath, '{"intervalMinutes": ');
+    assert.match(loadConfig({ configPath, env: {} }).errors[0], /invalid JSON/);
+  });
+
+  test('lets a profile override shared settings but not CLI flags', () => {
+    writeConfig({
+      helloPrompt: 'hi',
+      profiles: { work: { helloPrompt: 'hey', launchStrategy: 'stdin' } },
+    });
+    loadConfig({ configPath, env: {}, argv: ['--launch-strategy=headless'] });
+    const [work] = getProfiles();
+    assert.equal(work.name, 'work');
+    assert.equal(work.settings.helloPrompt, 'hey');
+    assert.equal(work.settings.launchStrategy, 'headless');
+    assert.equal(getSettings().helloPrompt, 'hi');
+  });
+
+  test('rejects a profile setting that is shared only', () => {
+    writeConfig({ profiles: { work: { cooldownMinutes: 5 } } });
+    const { config, errors } = loadConfig({ configPath, env: {} });
+    assert.match(errors[0], /work: "cooldownMinutes" cannot be set per profile$/);
+    assert.deepEqual(config.profiles, {});
+  });
+});
+
+describe('normalizeState', () => {
+  test('reads a version 1 stopUntil key as stopped', () => {
+    // Version 1 wrote --stop as stopUntil: Infinity, which JSON stores as null.
+    const state = normalizeState({ stopUntil: null, lastLaunch: 1000 });
+    assert.equal(state.version, STATE_VERSION);
+    assert.equal(state.stopped, true);
+    assert.equal(state.lastLaunch, 1000);
+    assert.equal('stopUntil' in state, false);
+  });
+
+  test('reads version 1 without stopUntil as running', () => {
+    const state = normalizeState({ pauseUntil: 5000, history: [1, 'x', -3, null, 2] });
+    assert.equal(state.stopped, false);
+    assert.equal(state.pauseUntil, 5000);
+    assert.deepEqual(state.history, [1, 2]);
+  });
+
+  test('drops unknown keys and values of the wrong type', () => {
+    const state = normalizeState({
+      version: 2,
+      stopped: 'yes',
+      lastLaunch: 'soon',
+      helloStats: { success: 3, unconfirmed: -1, failure: 1.5 },
+      lastHelloResult: { outcome: 'success' },
+      budgetAlerts: {
+        day: { key: '2026-10-15', level: 'warning' },
+        week: { key: '2026-10-12', level: 'panic' },
+        year: { key: '2026', level: 'critical' },
+      },
+      extra: true,
+    });
+    assert.equal(state.stopped, false);
+    assert.equal(state.lastLaunch, null);
+    assert.deepEqual(state.helloStats, { success: 3, unconfirmed: 0, failure: 0 });
+    assert.equal(state.lastHelloResult, null);
+    assert.deepEqual(state.budgetAlerts, { day: { key: '2026-10-15', level: 'warning' } });
+    assert.equal('extra' in state, false);
+  });
+
+  test('keeps the most recent 20 history entries', () => {
+    const history = Array.from({ length: 25 }, (_, index) => index + 1);
+    assert.deepEqual(normalizeState({ version: 3, history }).history, history.slice(-20));
+  });
+
+  test('turns anything but an object into an empty state', () => {
+    for (const raw of [null, 'state', [1, 2]]) {
+      assert.equal(normalizeState(raw).version, STATE_VERSION);
+      assert.equal(normalizeState(raw).stopped, false);
+    }
+  });
+});
+
+describe('updateState', () => {
+  test('moves a corrupt state file aside before writing', async () => {
+    const statePath = getStatePath();
+    mkdirSync(path.dirname(statePath), { recursive: true });
+    writeFileSync(statePath, '{"stopped": tru');
+    const next = await updateState((state) => ({ ...state, stopped: true }));
+    assert.equal(next.stopped, true);
+    assert.equal(JSON.parse(await readFile(statePath, 'utf-8')).stopped, true);
+    const base = path.basename(statePath);
+    const aside = readdirSync(path.dirname(statePath)).filter((name) =>
+      name.startsWith(`${base}.corrupt-`)
+    );
+    assert.equal(aside.length, 1);
+  });
+
+  test('refuses to overwrite a state written by a newer version', async () => {
+    const statePath = getStatePath();
+    const newer = JSON.stringify({ version: STATE_VERSION + 1, stopped: true });
+    writeFileSync(statePath, newer);
+    await assert.rejects(
+      updateState((state) => state),
+      /state_version_unsupported/
+    );
+    assert.equal(await readFile(statePath, 'utf-8'), newer);
+    assert.equal((await readState()).stopped, false);
+  });
+
+  test('drops the write when its lock was taken over meanwhile', async () => {
+    const statePath = getStatePath();
+    writeFileSync(statePath, JSON.stringify({ version: STATE_VERSION, lastLaunch: 1000 }));
+    await assert.rejects(
+      updateState((state) => {
+        // A writer that judged this lock stale holds it now.
+        writeFileSync(`${statePath}.lock`, JSON.stringify({ token: 'other', pid: 1 }));
+        return { ...state, lastLaunch: 2000 };
+      }),
+      /state_locked/
+    );
+    assert.equal((await readState()).lastLaunch, 1000);
+    assert.equal(JSON.parse(readFileSync(`${statePath}.lock`, 'utf-8')).token, 'other');
+    rmSync(`${statePath}.lock`);
+  });
+});
+
+describe('awakeMsBetween', () => {
+  test('subtracts the part of each sleep interval inside the range', () => {
+    const intervals = [
+      { from: 10, to: 30 },
+      { from: 90, to: 200 },
+      { from: 300, to: 400 },
+    ];
+    assert.equal(awakeMsBetween(0, 100, intervals), 70);
+  });
+
+  test('is the whole range without sleep and never negative', () => {
+    assert.equal(awakeMsBetween(0, 100), 100);
+    assert.equal(awakeMsBetween(50, 60, [{ from: 0, to: 100 }]), 0);
+  });
+});
+
+describe('transcript readers', () => {
+  const dir = path.join(home, 'transcripts');
+  const at = (minute) => new Date(Date.UTC(2026, 9, 15, 9, minute)).toISOString();
+
+  function writeTranscript(name, lines) {
+    mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, name);
+    writeFileSync(filePath, lines.map((line) => JSON.stringify(line)).join('\n'));
+    return filePath;
+  }
+
+  test('read the newest timestamp, session and cwd from the tail', async () => {
+    const filePath = writeTranscript('tail.jsonl', [
+      { timestamp: at(0), sessionId: 's1', cwd: '/work/a' },
+      { message: { timestamp: at(5) }, cwd: '/work/b' },
+      { type: 'summary' },
+    ]);
+    // The last line is cut off mid-write and skipped.
+    writeFileSync(filePath, `${readFileSync(filePath, 'utf-8')}\n{"timestamp":"${at(9)}`);
+    assert.deepEqual(await readLastTranscriptEntry(filePath, 64 * 1024), {
+      timestamp: Date.parse(at(5)),
+      sessionId: null,
+    });
+    assert.equal(await readLastTranscriptCwd(filePath, 64 * 1024), '/work/b');
+    assert.equal(await readLastTranscriptEntry(path.join(dir, 'missing.jsonl'), 1024), null);
+  });
+
+  test('read the session start and id from the head', async () => {
+    const filePath = writeTranscript('abc.jsonl', [
+      { type: 'summary' },
+      { timestamp: at(1), session_id: 'head-session' },
+      { timestamp: at(2), data: { type: 'hook_progress', hookEvent: 'SessionStart' } },
+    ]);
+    assert.equal(await readSessionStartTimestamp(filePath, 64 * 1024), Date.parse(at(2)));
+    assert.equal(await readTranscriptSessionId(filePath, 64 * 1024), 'head-session');
+
+    const plain = writeTranscript('plain.jsonl', [{ timestamp: at(3) }, { timestamp: at(4) }]);
+    assert.equal(await readSessionStartTimestamp(plain, 64 * 1024), Date.parse(at(3)));
+    assert.equal(await readTranscriptSessionId(plain, 64 * 1024), 'plain');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { evaluateBudgets } = await import('../scripts/budget.js');
+const { loadConfig } = await import('../scripts/active-session-core.js');
+
+const SETTINGS = {
+  budgetDailyUsd: 10,
+  budgetWeeklyUsd: 0,
+  budgetMonthlyUsd: 100,
+  budgetWarnPercent: 80,
+  budgetCriticalPercent: 100,
+};
+
+const USAGE = {
+  ok: true,
+  pricingLoaded: true,
+  dayKey: '2026-10-15',
+  dayCost: 8.5,
+  weekKey: '2026-10-12',
+  weekCost: 30,
+  monthKey: '2026-10',
+  monthCost: 120,
+};
+
+describe('evaluateBudgets', () => {
+  test('rates each configured period and reports the worst level', () => {
+    const budget = evaluateBudgets(SETTINGS, USAGE);
+    assert.equal(budget.configured, true);
+    assert.equal(budget.level, 'critical');
+    assert.deepEqual(
+      budget.periods.map(({ period, key, level }) => ({ period, key, level })),
+      [
+        { period: 'day', key: '2026-10-15', level: 'warning' },
+        { period: 'month', key: '2026-10', level: 'critical' },
+      ]
+    );
+    const [day, month] = budget.periods;
+    assert.equal(day.percent, 85);
+    assert.equal(day.remainingUsd, 1.5);
+    assert.equal(month.remainingUsd, 0);
+  });
+
+  test('stays ok below the warning threshold', () => {
+    const budget = evaluateBudgets(SETTINGS, { ...USAGE, dayCost: 1, monthCost: 10 });
+    assert.equal(budget.level, 'ok');
+    assert.deepEqual(
+      budget.periods.map((entry) => entry.level),
+      ['ok', 'ok']
+    );
+  });
+
+  test('is not configured without budgets, usage or pricing', () => {
+    const none = { configured: false, level: null, periods: [] };
+    const unset = { ...SETTINGS, budgetDailyUsd: 0, budgetMonthlyUsd: 0 };
+    assert.deepEqual(evaluateBudgets(unset, USAGE), none);
+    assert.deepEqual(evaluateBudgets(SETTINGS, { ...USAGE, ok: false }), none);
+    assert.deepEqual(evaluateBudgets(SETTINGS, { ...USAGE, pricingLoaded: false }), none);
+    assert.deepEqual(evaluateBudgets(SETTINGS, null), none);
+  });
+});
+
+describe('budget settings', () => {
+  test('reject a warning threshold at or above the critical one', () => {
+    const { config, errors } = loadConfig({
+      env: { BUDGET_WARN_PERCENT: '100', BUDGET_CRITICAL_PERCENT: '90' },
+      configPath: path.join(home, 'missing.json'),
+    });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /budgetWarnPercent \(100\) must be below budgetCriticalPercent \(90\)/);
+    assert.equal(config.budgetWarnPercent, 80);
+    assert.equal(config.budgetCriticalPercent, 100);
+  });
+});
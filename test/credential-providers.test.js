@@ -0,0 +1,99 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const credentialsPath = path.join(home, '.claude', '.credentials.json');
+const commandOutputPath = path.join(home, 'command-output');
+delete process.env.CLAUDE_CONFIG_DIR;
+const { getCredentialProviderOrder, loadConfig, resolveOAuthCredentials } = await import(
+  '../scripts/active-session-core.js'
+);
+
+const PLATFORM_PROVIDERS =
+  process.platform === 'darwin' ? ['keychain', 'file'] : ['file', 'secret-tool'];
+const SETTINGS_ENV = [
+  'CLAUDE_CODE_OAUTH_TOKEN',
+  'CLAUDE_CREDENTIAL_PROVIDERS',
+  'CLAUDE_CREDENTIAL_COMMAND',
+];
+
+// Applies exactly these credential settings on top of the test environment.
+function configure(values = {}) {
+  for (const name of SETTINGS_ENV) {
+    if (values[name] === undefined) delete process.env[name];
+    else process.env[name] = values[name];
+  }
+  loadConfig();
+}
+
+function writeCredentialsFile(content) {
+  mkdirSync(path.dirname(credentialsPath), { recursive: true });
+  writeFileSync(credentialsPath, content, { mode: 0o600 });
+}
+
+describe('credential providers', () => {
+  afterEach(() => {
+    rmSync(credentialsPath, { force: true });
+    configure();
+  });
+
+  test('prefer the environment variable, then the platform stores', async () => {
+    writeCredentialsFile(JSON.stringify({ claudeAiOauth: { accessToken: 'from-file' } }));
+    configure({ CLAUDE_CODE_OAUTH_TOKEN: 'from-env' });
+    assert.deepEqual(getCredentialProviderOrder(), ['env', ...PLATFORM_PROVIDERS]);
+    const credentials = await resolveOAuthCredentials();
+    assert.equal(credentials.provider, 'env');
+    assert.equal(credentials.token, 'from-env');
+    assert.deepEqual(credentials.attempts, []);
+
+    configure();
+    assert.deepEqual(getCredentialProviderOrder(), PLATFORM_PROVIDERS);
+  });
+
+  test('try a configured command before the platform stores', () => {
+    configure({ CLAUDE_CREDENTIAL_COMMAND: `cat ${commandOutputPath}` });
+    assert.deepEqual(getCredentialProviderOrder(), ['command', ...PLATFORM_PROVIDERS]);
+  });
+
+  test('follow an explicit order and record why each earlier provider was skipped', async () => {
+    writeFileSync(commandOutputPath, 'from-command\n');
+    writeCredentialsFile('{"unrelated": true}');
+    configure({
+      CLAUDE_CREDENTIAL_PROVIDERS: 'vault,file,command,env',
+      CLAUDE_CREDENTIAL_COMMAND: `cat ${commandOutputPath}`,
+      CLAUDE_CODE_OAUTH_TOKEN: 'from-env',
+    });
+    const credentials = await resolveOAuthCredentials();
+    assert.equal(credentials.provider, 'command');
+    assert.equal(credentials.token, 'from-command');
+    assert.deepEqual(credentials.attempts, [
+      { provider: 'vault', reason: 'unknown provider' },
+      { provider: 'file', reason: 'no token in file' },
+    ]);
+  });
+
+  test('read the refresh token and expiry from the credentials file', async () => {
+    const oauth = { accessToken: 'a1', refreshToken: 'r1', expiresAt: 1234 };
+    writeCredentialsFile(JSON.stringify({ claudeAiOauth: oauth }));
+    configure({ CLAUDE_CREDENTIAL_PROVIDERS: 'file' });
+    const credentials = await resolveOAuthCredentials();
+    assert.equal(credentials.provider, 'file');
+    assert.equal(credentials.detail, credentialsPath);
+    assert.equal(credentials.refreshToken, 'r1');
+    assert.equal(credentials.expiresAt, 1234);
+  });
+
+  test('report every failed provider when none has a token', async () => {
+    configure({ CLAUDE_CREDENTIAL_PROVIDERS: 'env,file' });
+    const credentials = await resolveOAuthCredentials();
+    assert.equal(credentials.token, null);
+    assert.equal(credentials.provider, null);
+    assert.deepEqual(credentials.attempts, [
+      { provider: 'env', reason: 'CLAUDE_CODE_OAUTH_TOKEN not set' },
+      { provider: 'file', reason: 'not found' },
+    ]);
+  });
+});
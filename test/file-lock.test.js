@@ -0,0 +1,155 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, utimesSync, writeFileSync } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { acquireFileLock, isFileLockHeld, readFileLock, releaseFileLock } = await import(
+  '../scripts/file-lock.js'
+);
+
+const FILE_LOCK_URL = new URL('../scripts/file-lock.js', import.meta.url).href;
+const lockDir = path.join(home, 'locks');
+let lockCount = 0;
+
+function nextLockPath() {
+  lockCount += 1;
+  return path.join(lockDir, `test-${lockCount}.lock`);
+}
+
+function writeStaleLock(lockPath, holder, ageMs = 60000) {
+  mkdirSync(lockDir, { recursive: true });
+  writeFileSync(lockPath, JSON.stringify(holder));
+  const old = (Date.now() - ageMs) / 1000;
+  utimesSync(lockPath, old, old);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Each child waits for startAt, tries the lock once and holds it for a second if it got it.
+const RACER = `
+const [url, lockPath, startAt] = process.argv.slice(1);
+const { acquireFileLock, releaseFileLock } = await import(url);
+await new Promise((resolve) => setTimeout(resolve, Number(startAt) - Date.now()));
+const lock = await acquireFileLock(lockPath, { staleMs: 10000 });
+console.log(lock ? 'acquired' : 'busy');
+if (lock) setTimeout(() => releaseFileLock(lock), 1000);
+`;
+
+async function race(lockPath, count) {
+  const startAt = Date.now() + 1500;
+  const runs = Array.from({ length: count }, () =>
+    promisify(execFile)(process.execPath, [
+      '--input-type=module',
+      '-e',
+      RACER,
+      FILE_LOCK_URL,
+      lockPath,
+      String(startAt),
+    ])
+  );
+  return (await Promise.all(runs)).map(({ stdout }) => stdout.trim());
+}
+
+describe('acquireFileLock', () => {
+  test('waits for the holder and gives up after the timeout', async () => {
+    const lockPath = nextLockPath();
+    const lock = await acquireFileLock(lockPath, { staleMs: 60000, timeoutMs: 1000 });
+    assert.ok(isFileLockHeld(lock));
+    assert.equal(readFileLock(lockPath).pid, process.pid);
+    assert.equal(await acquireFileLock(lockPath, { staleMs: 60000, timeoutMs: 100 }), null);
+    releaseFileLock(lock);
+    assert.equal(existsSync(lockPath), false);
+  });
+
+  test('takes over a lock not refreshed for staleMs', async () => {
+    const lockPath = nextLockPath();
+    writeStaleLock(lockPath, { token: 'dead', pid: 1 });
+    const lock = await acquireFileLock(lockPath, { staleMs: 10000, timeoutMs: 1000 });
+    assert.ok(lock);
+    assert.equal(readFileLock(lockPath).token, lock.token);
+    releaseFileLock(lock);
+  });
+
+  test('keeps the mtime fresh while the lock is held', async () => {
+    const lockPath = nextLockPath();
+    const lock = await acquireFileLock(lockPath, { staleMs: 300 });
+    // A slow holder: without the heartbeat the lock would be stale twice over by now.
+    await sleep(700);
+    assert.equal(await acquireFileLock(lockPath, { staleMs: 300 }), null);
+    assert.ok(isFileLockHeld(lock));
+    releaseFileLock(lock);
+    const next = await acquireFileLock(lockPath, { staleMs: 300 });
+    assert.ok(next);
+    releaseFileLock(next);
+  });
+
+  test('notices when its lock was replaced and leaves the new one alone', async () => {
+    const lockPath = nextLockPath();
+    const lock = await acquireFileLock(lockPath, { staleMs: 300 });
+    writeFileSync(lockPath, JSON.stringify({ token: 'other', pid: 1 }));
+    assert.equal(isFileLockHeld(lock), false);
+    await sleep(250);
+    assert.equal(lock.lost, true);
+    releaseFileLock(lock);
+    assert.equal(readFileLock(lockPath).token, 'other');
+  });
+
+  test('checks the token again after a takeover and keeps waiting if it changed', async () => {
+    const lockPath = nextLockPath();
+    writeStaleLock(lockPath, { token: 'dead', pid: 1 });
+    // The takeover and the new lock file happen before the first await.
+    const pending = acquireFileLock(lockPath, { staleMs: 10000 });
+    assert.notEqual(readFileLock(lockPath).token, 'dead');
+    // Another waiter moves it aside and a third process creates its lock in between.
+    writeFileSync(lockPath, JSON.stringify({ token: 'third', pid: 1 }));
+    assert.equal(await pending, null);
+    assert.equal(readFileLock(lockPath).token, 'third');
+  });
+
+  test('gives a stale lock to exactly one of several racing processes', async () => {
+    for (let round = 0; round < 2; round += 1) {
+      const lockPath = nextLockPath();
+      writeStaleLock(lockPath, { token: 'dead', pid: 1 });
+      const results = await race(lockPath, 3);
+      assert.deepEqual(
+        results.filter((result) => result === 'acquired'),
+        ['acquired'],
+        `round ${round}: ${results.join(', ')}`
+      );
+      assert.equal(existsSync(lockPath), false);
+    }
+  });
+
+  test('judges a lock by its holder when isHolderAlive is given', async () => {
+    const lockPath = nextLockPath();
+    const isHolderAlive = (holder) => holder.pid === process.pid;
+    writeStaleLock(lockPath, { token: 'alive', pid: process.pid });
+    assert.equal(await acquireFileLock(lockPath, { isHolderAlive }), null);
+    writeStaleLock(lockPath, { token: 'dead', pid: 1 }, 0);
+    const lock = await acquireFileLock(lockPath, { isHolderAlive, data: { note: 'x' } });
+    assert.ok(lock);
+    assert.equal(lock.heartbeat, null);
+    assert.equal(JSON.parse(readFileSync(lockPath, 'utf-8')).note, 'x');
+    releaseFileLock(lock);
+  });
+
+  test('waits out the write grace for a lock that cannot be read yet', async () => {
+    const lockPath = nextLockPath();
+    writeStaleLock(lockPath, null, 0);
+    writeFileSync(lockPath, '');
+    assert.equal(await acquireFileLock(lockPath, { staleMs: 10 }), null);
+    writeStaleLock(lockPath, null);
+    writeFileSync(lockPath, '{"tok');
+    const old = (Date.now() - 60000) / 1000;
+    utimesSync(lockPath, old, old);
+    const lock = await acquireFileLock(lockPath, { staleMs: 10 });
+    assert.ok(lock);
+    releaseFileLock(lock);
+  });
+});
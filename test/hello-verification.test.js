@@ -0,0 +1,92 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { chmodSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { useTempHome } from './helpers.js';
+
+const KEEPER = fileURLToPath(new URL('../scripts/active-session-keeper.js', import.meta.url));
+const home = useTempHome();
+const fakeClaude = path.join(home, 'fake-claude.js');
+const statePath = path.join(home, '.cache', 'claude-dashboard', 'active-session-keeper.json');
+
+// Stands in for `claude -p`: FAKE_CLAUDE_MODE decides whether its hello lands in a transcript.
+writeFileSync(
+  fakeClaude,
+  `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+const sessionId = args[args.indexOf('--session-id') + 1];
+const mode = process.env.FAKE_CLAUDE_MODE;
+if (mode === 'fail') {
+  console.error('Invalid API key');
+  process.exit(1);
+}
+if (mode === 'transcript' || mode === 'other-session') {
+  const dir = path.join(process.env.HOME, '.claude', 'projects', '-work-hello');
+  fs.mkdirSync(dir, { recursive: true });
+  const entry = {
+    type: 'assistant',
+    sessionId: mode === 'transcript' ? sessionId : 'someone-else',
+    timestamp: new Date().toISOString(),
+  };
+  fs.appendFileSync(path.join(dir, sessionId + '.jsonl'), JSON.stringify(entry) + '\\n');
+}
+console.log('Hello!');
+`
+);
+chmodSync(fakeClaude, 0o755);
+
+// One forced keeper tick against the fake claude; no token, so no limits request goes out.
+async function runHello(mode) {
+  const env = {
+    ...process.env,
+    FAKE_CLAUDE_MODE: mode,
+    CLAUDE_CMD: fakeClaude,
+    CLAUDE_CREDENTIAL_PROVIDERS: 'env',
+    ACTIVE_MINUTES: '0',
+    COOLDOWN_MINUTES: '0',
+    KEEPALIVE_LAUNCH_STRATEGY: 'headless',
+    KEEPALIVE_VERIFY_TIMEOUT_SECONDS: '1',
+  };
+  delete env.CLAUDE_CODE_OAUTH_TOKEN;
+  delete env.CLAUDE_CONFIG_DIR;
+  await promisify(execFile)(process.execPath, [KEEPER, '--once', '--force'], {
+    env,
+    timeout: 60000,
+  });
+  return JSON.parse(readFileSync(statePath, 'utf-8'));
+}
+
+describe('hello verification', () => {
+  test('confirms a hello whose session shows up in a transcript', async () => {
+    const state = await runHello('transcript');
+    const result = state.lastHelloResult;
+    assert.equal(result.status, 'confirmed');
+    assert.equal(result.strategy, 'headless');
+    assert.equal(result.response, 'Hello!');
+    assert.ok(result.verification.transcriptAt >= result.at - 1000);
+    assert.deepEqual(state.helloStats, { success: 1, unconfirmed: 0, failure: 0 });
+    assert.ok(state.lastLaunch);
+  });
+
+  test('leaves a hello unconfirmed when only another session wrote meanwhile', async () => {
+    const state = await runHello('other-session');
+    assert.equal(state.lastHelloResult.status, 'unconfirmed');
+    assert.equal(state.lastHelloResult.verification.transcriptAt, null);
+    assert.deepEqual(state.helloStats, { success: 1, unconfirmed: 1, failure: 0 });
+  });
+
+  test('records a failed hello without counting it as a launch', async () => {
+    const { lastLaunch } = JSON.parse(readFileSync(statePath, 'utf-8'));
+    const state = await runHello('fail');
+    assert.equal(state.lastHelloResult.status, 'failed');
+    assert.equal(state.lastHelloResult.exitCode, 1);
+    assert.equal(state.lastHelloResult.error, 'Invalid API key');
+    assert.equal(state.lastLaunch, lastLaunch);
+    assert.deepEqual(state.helloStats, { success: 1, unconfirmed: 1, failure: 1 });
+  });
+});
@@ -0,0 +1,15 @@
+import { after } from 'node:test';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Points HOME, and with it every cache and config path, at a temporary directory that is removed
+// after the file's tests. The scripts resolve these paths on import, so call this first and
+// import them dynamically afterwards.
+export function useTempHome() {
+  const home = mkdtempSync(path.join(os.tmpdir(), 'keepalive-test-'));
+  process.env.HOME = home;
+  process.env.CLAUDE_KEEPALIVE_CONFIG = path.join(home, 'config.json');
+  after(() => rmSync(home, { recursive: true, force: true }));
+  return home;
+}
@@ -0,0 +1,72 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const { LOCK_PATH, acquireKeeperLock, readKeeperStatus, releaseKeeperLock, updateKeeperLock } =
+  await import('../scripts/keeper-lock.js');
+const { readFileLock } = await import('../scripts/file-lock.js');
+
+// Any process whose command line names the keeper counts as a running keeper.
+function spawnKeeperStub() {
+  const child = spawn(
+    process.execPath,
+    ['-e', 'setTimeout(() => {}, 60000)', 'active-session-keeper'],
+    { stdio: 'ignore' }
+  );
+  after(() => child.kill());
+  return child;
+}
+
+function writeLock(holder) {
+  mkdirSync(path.dirname(LOCK_PATH), { recursive: true });
+  writeFileSync(LOCK_PATH, JSON.stringify(holder));
+}
+
+describe('keeper lock', () => {
+  test('refuses to start while another keeper runs', async () => {
+    const keeper = spawnKeeperStub();
+    writeLock({ token: 'keeper', pid: keeper.pid, startedAt: Date.now(), intervalMinutes: 5 });
+
+    const result = await acquireKeeperLock({ intervalMinutes: 10 });
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, 'running');
+    assert.equal(result.holder.pid, keeper.pid);
+
+    const status = readKeeperStatus();
+    assert.equal(status.running, true);
+    assert.equal(status.pid, keeper.pid);
+    assert.equal(status.intervalMinutes, 5);
+  });
+
+  test('takes over the lock of a keeper that is gone, however recent', async () => {
+    // Our own pid is alive but is not a keeper: a recycled pid.
+    writeLock({ token: 'gone', pid: process.pid, startedAt: Date.now() });
+    assert.equal(readKeeperStatus().stale, true);
+
+    assert.deepEqual(await acquireKeeperLock({ intervalMinutes: 10 }), { ok: true });
+    const holder = readFileLock(LOCK_PATH);
+    assert.notEqual(holder.token, 'gone');
+    assert.equal(holder.pid, process.pid);
+    assert.equal(holder.intervalMinutes, 10);
+
+    await updateKeeperLock({ lastTickAt: 123 });
+    assert.equal(readFileLock(LOCK_PATH).lastTickAt, 123);
+    assert.equal(readFileLock(LOCK_PATH).token, holder.token);
+
+    releaseKeeperLock();
+    assert.equal(existsSync(LOCK_PATH), false);
+  });
+
+  test('stops updating a lock another keeper took over', async () => {
+    assert.equal((await acquireKeeperLock()).ok, true);
+    writeLock({ token: 'other', pid: 1 });
+
+    await updateKeeperLock({ lastTickAt: 456 });
+    releaseKeeperLock();
+    assert.deepEqual(readFileLock(LOCK_PATH), { token: 'other', pid: 1 });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, utimesSync, writeFileSync } from 'fs';
+import path from 'path';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const { buildLimitsTrend, renderSparkline } = await import('../scripts/limits-series.js');
+const { appendLimitsSample, getLimitsSeriesPath, readLimitsSeries } = await import(
+  '../scripts/active-session-core.js'
+);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function sample(at, fiveHour, sevenDay = null) {
+  return { at, fiveHour, fiveHourResetsAt: null, sevenDay, sevenDayResetsAt: null };
+}
+
+describe('renderSparkline', () => {
+  test('maps 0-100 onto eight levels and gaps onto spaces', () => {
+    assert.equal(renderSparkline([null, 0, 50, 100, 120, -5]), ' ▁▅██▁');
+  });
+
+  test('renders nothing for no values', () => {
+    assert.equal(renderSparkline([]), '');
+  });
+});
+
+describe('buildLimitsTrend', () => {
+  const now = Date.UTC(2026, 9, 15, 12);
+
+  test('fills the running 5h window up to now', () => {
+    // The window resets in 2h, so it started 3h ago: 12 of its 20 buckets have elapsed.
+    const resetsAt = new Date(now + 2 * HOUR_MS).toISOString();
+    const samples = [
+      sample(now - 3 * HOUR_MS + MINUTE_MS, 10),
+      sample(now - 2 * MINUTE_MS, 30),
+      sample(now - MINUTE_MS, 40),
+      sample(now - 4 * HOUR_MS, 99),
+    ];
+    const trend = buildLimitsTrend(samples, resetsAt, now);
+    assert.equal(trend.fiveHour.from, now - 3 * HOUR_MS);
+    assert.equal(trend.fiveHour.to, now + 2 * HOUR_MS);
+    assert.equal(trend.fiveHour.values.length, 12);
+    assert.equal(trend.fiveHour.values[0], 10);
+    assert.equal(trend.fiveHour.values[11], 40);
+    assert.deepEqual(trend.fiveHour.values.slice(1, 11), new Array(10).fill(null));
+  });
+
+  test('ends the window at now when the reset is unknown or past', () => {
+    const trend = buildLimitsTrend([], new Date(now - HOUR_MS).toISOString(), now);
+    assert.equal(trend.fiveHour.to, now);
+    assert.equal(trend.fiveHour.values.length, 20);
+    assert.equal(buildLimitsTrend([], null, now).fiveHour.to, now);
+  });
+
+  test('covers seven days in 6-hour buckets', () => {
+    const samples = [
+      sample(now - MINUTE_MS, null, 70),
+      sample(now - 7 * DAY_MS + MINUTE_MS, null, 5),
+      sample(now - 8 * DAY_MS, null, 100),
+    ];
+    const { sevenDay } = buildLimitsTrend(samples, null, now);
+    assert.equal(sevenDay.from, now - 7 * DAY_MS);
+    assert.equal(sevenDay.to, now);
+    assert.equal(sevenDay.values.length, 28);
+    assert.equal(sevenDay.values[0], 5);
+    assert.equal(sevenDay.values[27], 70);
+    assert.equal(sevenDay.values.filter((value) => value !== null).length, 2);
+  });
+});
+
+describe('appendLimitsSample', () => {
+  const now = Date.now();
+  const limits = { five_hour: { utilization: 12, resets_at: null }, seven_day: null };
+
+  test('creates the cache directory on a fresh home', async () => {
+    assert.equal(existsSync(path.dirname(getLimitsSeriesPath())), false);
+    await appendLimitsSample(limits, now - 2000);
+    const samples = await readLimitsSeries();
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].fiveHour, 12);
+  });
+
+  test('compacts by the time stored in the marker, not its mtime', async () => {
+    const filePath = getLimitsSeriesPath();
+    const oldHour = Math.floor((now - 3 * DAY_MS) / HOUR_MS) * HOUR_MS;
+    const seed = [
+      [oldHour + MINUTE_MS, 10, null, null, null],
+      [oldHour + 2 * MINUTE_MS, 30, null, null, null],
+    ];
+    writeFileSync(filePath, seed.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+    // Ran a minute ago, but the file looks two hours old (copied or touched).
+    const marker = `${filePath}.compacted`;
+    writeFileSync(marker, String(now - MINUTE_MS));
+    const touched = (now - 2 * HOUR_MS) / 1000;
+    utimesSync(marker, touched, touched);
+    await appendLimitsSample(limits, now - 1000);
+    assert.equal((await readLimitsSeries()).length, 3);
+
+    writeFileSync(marker, String(now - 2 * HOUR_MS));
+    await appendLimitsSample(limits, now);
+    const samples = await readLimitsSeries();
+    assert.deepEqual(
+      samples.map((sample) => [sample.at, sample.fiveHour]),
+      [
+        [oldHour, 30],
+        [now - 1000, 12],
+        [now, 12],
+      ]
+    );
+  });
+
+  test('takes over a lock left behind by a process that died', async () => {
+    const lockPath = `${getLimitsSeriesPath()}.lock`;
+    writeFileSync(lockPath, JSON.stringify({ token: 'dead', pid: 1 }));
+    const old = (now - HOUR_MS) / 1000;
+    utimesSync(lockPath, old, old);
+    await appendLimitsSample(limits, now + 1000);
+    assert.equal((await readLimitsSeries()).at(-1).at, now + 1000);
+    assert.equal(existsSync(lockPath), false);
+  });
+});
@@ -0,0 +1,143 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, utimesSync, writeFileSync } from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { useTempHome } from './helpers.js';
+
+const MOCK_SERVER = fileURLToPath(new URL('../scripts/mock-usage-server.js', import.meta.url));
+const REFRESHED_TOKEN = 'mock-refreshed-access-token';
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function startMockServer(port) {
+  const child = spawn(process.execPath, [MOCK_SERVER, `--port=${port}`, '--script=token_expired'], {
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.once('error', reject);
+    child.once('exit', (code) => reject(new Error(`mock server exited with ${code}`)));
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('listening')) resolve(child);
+    });
+  });
+}
+
+const home = useTempHome();
+const configDir = path.join(home, '.claude');
+const credentialsPath = path.join(configDir, '.credentials.json');
+const port = await findFreePort();
+process.env.CLAUDE_CONFIG_DIR = configDir;
+process.env.CLAUDE_API_BASE_URL = `http://127.0.0.1:${port}`;
+process.env.CLAUDE_OAUTH_TOKEN_URL = `http://127.0.0.1:${port}/v1/oauth/token`;
+delete process.env.CLAUDE_CODE_OAUTH_TOKEN;
+const { fetchUsageLimits, refreshOAuthCredentials, resolveOAuthCredentials } = await import(
+  '../scripts/active-session-core.js'
+);
+
+function writeCredentials(oauth) {
+  mkdirSync(configDir, { recursive: true });
+  writeFileSync(credentialsPath, JSON.stringify({ claudeAiOauth: oauth }), { mode: 0o600 });
+}
+
+function readStoredOAuth() {
+  return JSON.parse(readFileSync(credentialsPath, 'utf-8')).claudeAiOauth;
+}
+
+describe('OAuth token refresh', () => {
+  let server;
+
+  before(async () => {
+    server = await startMockServer(port);
+  });
+
+  after(() => {
+    server?.removeAllListeners('exit');
+    server?.kill();
+  });
+
+  test('exchanges the refresh token and stores the rotated pair', async () => {
+    writeCredentials({ accessToken: 'old', refreshToken: 'r1', expiresAt: Date.now() - 1000 });
+    const credentials = await resolveOAuthCredentials();
+    assert.equal(credentials.provider, 'file');
+
+    const result = await refreshOAuthCredentials(credentials);
+    assert.equal(result.ok, true);
+    assert.equal(result.persisted, true);
+    assert.equal(result.reused, undefined);
+    assert.equal(result.credentials.token, REFRESHED_TOKEN);
+    assert.equal(result.credentials.refreshToken, 'r1-rotated');
+    assert.ok(result.credentials.expiresAt > Date.now());
+
+    const stored = readStoredOAuth();
+    assert.equal(stored.accessToken, REFRESHED_TOKEN);
+    assert.equal(stored.refreshToken, 'r1-rotated');
+  });
+
+  test('reuses a token another process already refreshed', async () => {
+    writeCredentials({ accessToken: 'old', refreshToken: 'r2', expiresAt: Date.now() - 1000 });
+    const stale = await resolveOAuthCredentials();
+    writeCredentials({
+      accessToken: REFRESHED_TOKEN,
+      refreshToken: 'r2-rotated',
+      expiresAt: Date.now() + 60 * 60 * 1000,
+    });
+
+    const result = await refreshOAuthCredentials(stale);
+    assert.equal(result.ok, true);
+    assert.equal(result.reused, true);
+    assert.equal(result.credentials.token, REFRESHED_TOKEN);
+    // No second exchange: the stored refresh token was not rotated again.
+    assert.equal(readStoredOAuth().refreshToken, 'r2-rotated');
+  });
+
+  test('takes over a refresh lock left behind by a process that died', async () => {
+    writeCredentials({ accessToken: 'old', refreshToken: 'r4', expiresAt: Date.now() - 1000 });
+    const lockPath = `${credentialsPath}.lock`;
+    writeFileSync(lockPath, JSON.stringify({ token: 'dead', pid: 1 }));
+    const old = (Date.now() - 60 * 60 * 1000) / 1000;
+    utimesSync(lockPath, old, old);
+
+    const result = await refreshOAuthCredentials(await resolveOAuthCredentials());
+    assert.equal(result.ok, true);
+    assert.equal(readStoredOAuth().refreshToken, 'r4-rotated');
+    assert.equal(existsSync(lockPath), false);
+  });
+
+  test('refreshes and retries when the usage API rejects the token', async () => {
+    // Not expired locally, so only the 401 from the server triggers the refresh.
+    writeCredentials({ accessToken: 'old', refreshToken: 'r3', expiresAt: Date.now() + 60000 });
+
+    const result = await fetchUsageLimits({ allowCache: false });
+    assert.equal(result.errorCode, null);
+    assert.equal(result.limits.five_hour.utilization, 42);
+    assert.deepEqual(result.auth.refresh, { ok: true, reason: null, persisted: true });
+    assert.equal(readStoredOAuth().refreshToken, 'r3-rotated');
+  });
+
+  test('reports an expired token without the cache when no refresh token is stored', async () => {
+    writeCredentials({ accessToken: 'old', expiresAt: Date.now() + 60000 });
+
+    const result = await fetchUsageLimits({ allowCache: false });
+    assert.equal(result.limits, null);
+    assert.equal(result.errorCode, 'token_expired');
+    assert.deepEqual(result.auth.refresh, {
+      ok: false,
+      reason: 'no_refresh_token',
+      persisted: false,
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateSchedule,
+  parseScheduleRule,
+  planWindowAlignment,
+  validateScheduleRules,
+  validateSkipDates,
+} from '../scripts/schedule.js';
+
+const at = (iso) => Date.parse(iso);
+
+describe('evaluateSchedule', () => {
+  const weekdayMornings = { schedule: ['mon-fri 07:30-09:00'], scheduleTimezone: 'UTC' };
+
+  test('allows any time without rules or skip dates', () => {
+    const now = at('2026-10-15T03:00:00Z');
+    assert.deepEqual(evaluateSchedule({ schedule: [], skipDates: [] }, now), {
+      configured: false,
+      allowed: true,
+      reason: null,
+      nextEligibleAt: now,
+      timeZone: null,
+    });
+  });
+
+  test('allows a time inside a range and finds the next range start outside one', () => {
+    // Thursday 15 October 2026.
+    const inside = evaluateSchedule(weekdayMornings, at('2026-10-15T08:00:00Z'));
+    assert.equal(inside.allowed, true);
+    assert.equal(inside.nextEligibleAt, at('2026-10-15T08:00:00Z'));
+
+    const later = evaluateSchedule(weekdayMornings, at('2026-10-15T09:00:00Z'));
+    assert.equal(later.allowed, false);
+    assert.equal(later.reason, 'outside-schedule');
+    assert.equal(later.nextEligibleAt, at('2026-10-16T07:30:00Z'));
+
+    const weekend = evaluateSchedule(weekdayMornings, at('2026-10-17T08:00:00Z'));
+    assert.equal(weekend.nextEligibleAt, at('2026-10-19T07:30:00Z'));
+  });
+
+  test('runs a range that ends before it starts past midnight', () => {
+    const settings = { schedule: ['fri 22:00-02:00'], scheduleTimezone: 'UTC' };
+    assert.equal(evaluateSchedule(settings, at('2026-10-16T23:00:00Z')).allowed, true);
+    assert.equal(evaluateSchedule(settings, at('2026-10-17T01:59:00Z')).allowed, true);
+    assert.equal(evaluateSchedule(settings, at('2026-10-17T02:00:00Z')).allowed, false);
+    assert.equal(evaluateSchedule(settings, at('2026-10-15T23:00:00Z')).allowed, false);
+  });
+
+  test('skips whole dates, even inside the schedule', () => {
+    const settings = { ...weekdayMornings, skipDates: ['2026-10-15..2026-10-16'] };
+    const result = evaluateSchedule(settings, at('2026-10-15T08:00:00Z'));
+    assert.equal(result.reason, 'skip-date');
+    assert.equal(result.nextEligibleAt, at('2026-10-19T07:30:00Z'));
+  });
+
+  test('reads the schedule in its time zone across a DST change', () => {
+    const settings = { schedule: ['daily 09:00-10:00'], scheduleTimezone: 'America/New_York' };
+    // 09:30 EDT.
+    assert.equal(evaluateSchedule(settings, at('2026-10-31T13:30:00Z')).allowed, true);
+    // New York leaves DST on 1 November, so the next 09:00 is an hour later in UTC.
+    const result = evaluateSchedule(settings, at('2026-10-31T15:00:00Z'));
+    assert.equal(result.allowed, false);
+    assert.equal(result.nextEligibleAt, at('2026-11-01T14:00:00Z'));
+    assert.equal(result.timeZone, 'America/New_York');
+  });
+});
+
+describe('schedule validation', () => {
+  test('parses weekday sets, lists and wrapping ranges', () => {
+    const { rule } = parseScheduleRule('fri-mon 07:30-09:00,22:00-01:00');
+    assert.deepEqual([...rule.days].sort(), [0, 1, 5, 6]);
+    assert.deepEqual(rule.ranges, [
+      { from: 450, to: 540 },
+      { from: 1320, to: 60 },
+    ]);
+    assert.equal(parseScheduleRule('* 00:00-24:00').rule.days.size, 7);
+  });
+
+  test('explains each rule it cannot read', () => {
+    assert.equal(validateScheduleRules(['mon 07:00-08:00']), null);
+    assert.equal(
+      validateScheduleRules(['someday 07:00-08:00', 'mon 07:00-25:00', 'mon']),
+      [
+        '"someday 07:00-08:00": unknown weekday set "someday"',
+        '"mon 07:00-25:00": invalid time range "07:00-25:00"',
+        '"mon": expected "<days> <HH:MM-HH:MM>"',
+      ].join('; ')
+    );
+    assert.match(parseScheduleRule('mon 08:00-08:00').error, /invalid time range/);
+  });
+
+  test('accepts single skip dates and ranges in order', () => {
+    assert.equal(validateSkipDates(['2026-12-24', '2026-12-27..2027-01-01']), null);
+    assert.match(
+      validateSkipDates(['2026-12-31..2026-12-01', 'xmas']),
+      /invalid date\(s\) 2026-12-31\.\.2026-12-01, xmas/
+    );
+  });
+});
+
+describe('planWindowAlignment', () => {
+  const settings = { targetResetTimes: ['12:30', '17:30'], scheduleTimezone: 'UTC' };
+
+  test('plans the hello five hours before the next reachable target', () => {
+    const plan = planWindowAlignment(settings, null, at('2026-10-15T06:00:00Z'));
+    assert.deepEqual(plan, {
+      configured: true,
+      plannedHelloAt: at('2026-10-15T07:30:00Z'),
+      expectedResetAt: at('2026-10-15T12:30:00Z'),
+      windowEndsAt: null,
+      due: false,
+      timeZone: 'UTC',
+    });
+  });
+
+  test('is due within the grace period and moves on once it has passed', () => {
+    const options = { graceMinutes: 10 };
+    const late = planWindowAlignment(settings, null, at('2026-10-15T07:35:00Z'), options);
+    assert.equal(late.expectedResetAt, at('2026-10-15T12:30:00Z'));
+    assert.equal(late.due, true);
+
+    const missed = planWindowAlignment(settings, null, at('2026-10-15T07:45:00Z'), options);
+    assert.equal(missed.expectedResetAt, at('2026-10-15T17:30:00Z'));
+    assert.equal(missed.plannedHelloAt, at('2026-10-15T12:30:00Z'));
+    assert.equal(missed.due, false);
+  });
+
+  test('waits for the running window to end', () => {
+    const running = { utilization: 20, resets_at: '2026-10-15T13:00:00Z' };
+    const plan = planWindowAlignment(settings, running, at('2026-10-15T07:35:00Z'), {
+      graceMinutes: 10,
+    });
+    assert.equal(plan.windowEndsAt, at('2026-10-15T13:00:00Z'));
+    assert.equal(plan.expectedResetAt, at('2026-10-16T12:30:00Z'));
+    assert.equal(plan.due, false);
+
+    const ended = { utilization: 0, resets_at: '2026-10-15T07:00:00Z' };
+    const next = planWindowAlignment(settings, ended, at('2026-10-15T07:35:00Z'), {
+      graceMinutes: 10,
+    });
+    assert.equal(next.windowEndsAt, null);
+    assert.equal(next.due, true);
+  });
+
+  test('reads the targets in the schedule time zone', () => {
+    const newYork = { targetResetTimes: ['09:00'], scheduleTimezone: 'America/New_York' };
+    const plan = planWindowAlignment(newYork, null, at('2026-10-15T02:00:00Z'));
+    // 09:00 EDT.
+    assert.equal(plan.expectedResetAt, at('2026-10-15T13:00:00Z'));
+  });
+
+  test('is not configured without target times', () => {
+    assert.deepEqual(planWindowAlignment({ targetResetTimes: [] }, null), { configured: false });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const { renderMetrics } = await import('../scripts/status-server.js');
+
+const NOW = Date.UTC(2026, 9, 15, 12);
+
+function account(name, fiveHour) {
+  return {
+    name,
+    limits: {
+      fiveHour: { utilization: fiveHour, resetsAt: new Date(NOW + 90 * 1000).toISOString() },
+      sevenDay: { utilization: 20, resetsAt: null },
+      stale: false,
+      ageMinutes: 0,
+    },
+    keepalive: {
+      lastLaunch: NOW - 5000,
+      helloStats: { success: 4, unconfirmed: 1, failure: 2 },
+      state: 'on',
+    },
+  };
+}
+
+function buildModel(overrides = {}) {
+  return {
+    generatedAt: NOW,
+    ...account(null, 42),
+    usage: {
+      ok: true,
+      allTimeModels: {
+        'claude-sonnet': { cost: 12.5, input: 100, output: 50, cacheRead: 10, cacheWrite: 5 },
+      },
+      dayCost: 1,
+      last3Cost: 2,
+      weekCost: 3,
+      monthCost: 4,
+    },
+    budget: { periods: [{ period: 'day', budgetUsd: 10, percent: 10 }] },
+    activity: { active: true, lastActivity: NOW - 1500 },
+    ...overrides,
+  };
+}
+
+// Metric name -> declared type, from the # TYPE lines.
+function metricTypes(text) {
+  return Object.fromEntries(
+    text
+      .split('\n')
+      .filter((line) => line.startsWith('# TYPE '))
+      .map((line) => line.split(' ').slice(2))
+  );
+}
+
+describe('renderMetrics', () => {
+  test('writes limits, usage, budget and keepalive samples', () => {
+    const text = renderMetrics(buildModel());
+    const lines = text.split('\n');
+    assert.ok(lines.includes('claude_rate_limit_utilization_percent{window="five_hour"} 42'));
+    assert.ok(lines.includes('claude_rate_limit_reset_seconds{window="five_hour"} 90'));
+    assert.ok(lines.includes('claude_usage_history_cost_usd{model="claude-sonnet"} 12.5'));
+    assert.ok(
+      lines.includes('claude_usage_history_tokens{model="claude-sonnet",type="cacheRead"} 10')
+    );
+    assert.ok(lines.includes('claude_usage_cost_usd{period="last3days"} 2'));
+    assert.ok(lines.includes('claude_budget_used_percent{period="day"} 10'));
+    assert.ok(lines.includes('claude_keepalive_hello_total{result="failure"} 2'));
+    assert.ok(lines.includes('claude_keepalive_paused 0'));
+    assert.ok(lines.includes(`claude_last_activity_timestamp_seconds ${NOW / 1000 - 2}`));
+    // Without a reset time the seven-day window has no reset sample.
+    assert.equal(text.includes('claude_rate_limit_reset_seconds{window="seven_day"}'), false);
+  });
+
+  test('declares history totals as gauges and only hello attempts as a counter', () => {
+    const types = metricTypes(renderMetrics(buildModel()));
+    assert.equal(types.claude_usage_history_cost_usd, 'gauge');
+    assert.equal(types.claude_usage_history_tokens, 'gauge');
+    const counters = Object.keys(types).filter((name) => types[name] === 'counter');
+    assert.deepEqual(counters, ['claude_keepalive_hello_total']);
+    const totals = Object.keys(types).filter((name) => name.endsWith('_total'));
+    assert.deepEqual(totals, counters);
+  });
+
+  test('leaves usage out when it could not be read', () => {
+    const text = renderMetrics(buildModel({ usage: { ok: false } }));
+    assert.equal(text.includes('claude_usage_'), false);
+    assert.ok(text.includes('claude_rate_limit_utilization_percent'));
+  });
+
+  test('labels per-account series with the profile name', () => {
+    const model = buildModel({ profiles: [account('work', 42), account('home', 7)] });
+    model.profiles[1].keepalive.state = 'paused';
+    const lines = renderMetrics(model).split('\n');
+    assert.ok(
+      lines.includes(
+        'claude_rate_limit_utilization_percent{profile="home",window="five_hour"} 7'
+      )
+    );
+    assert.ok(lines.includes('claude_keepalive_paused{profile="work"} 0'));
+    assert.ok(lines.includes('claude_keepalive_paused{profile="home"} 1'));
+    assert.ok(lines.includes('claude_keepalive_hello_total{profile="work",result="success"} 4'));
+    // Activity and cost come from the shared transcripts and stay unlabelled.
+    assert.ok(lines.includes('claude_session_active 1'));
+    assert.ok(lines.includes('claude_usage_cost_usd{period="day"} 1'));
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { computeUsageTrend, forecastMonthEnd, updateUsageHistory } = await import(
+  '../scripts/usage-history.js'
+);
+
+// $1 per million input tokens, so a day's cost is its input tokens in millions.
+const PRICING = { models: { 'test-model': { input: 1, output: 0 } } };
+
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function usd(cost) {
+  const tokens = { input: cost * 1e6, output: 0, cacheRead: 0, cacheWrite: 0 };
+  return { models: { 'test-model': tokens } };
+}
+
+// Daily costs keyed by local date, plus the month-to-date total for monthKey.
+function buildHistory(costByDate, monthKey, monthToDate) {
+  const daily = {};
+  for (const [key, cost] of Object.entries(costByDate)) daily[key] = usd(cost);
+  return { daily, monthly: { [monthKey]: usd(monthToDate) } };
+}
+
+function writeTranscript(folder, name, entries) {
+  const dir = path.join(home, '.claude', 'projects', folder);
+  mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, name);
+  writeFileSync(filePath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+  return filePath;
+}
+
+function assistantEntry(model, input, { id = null, requestId = null, cwd = null } = {}) {
+  return {
+    type: 'assistant',
+    timestamp: new Date().toISOString(),
+    requestId,
+    ...(cwd ? { cwd } : {}),
+    message: { id, model, usage: { input_tokens: input, output_tokens: 0 } },
+  };
+}
+
+// Collects the transcripts under the temporary home and returns the stored history.
+async function collectHistory() {
+  const pricingPath = path.join(home, 'pricing.json');
+  const rates = { input: 1, output: 0 };
+  const models = { 'native-model': rates, 'project-model': rates };
+  writeFileSync(pricingPath, JSON.stringify({ updatedAt: new Date().toISOString(), models }));
+  const historyPath = path.join(home, 'usage-history.json');
+  const summary = await updateUsageHistory({ historyPath, pricingPath, source: 'native' });
+  assert.equal(summary.ok, true);
+  return { summary, history: JSON.parse(readFileSync(historyPath, 'utf-8')) };
+}
+
+function daysBefore(now, count, costFor) {
+  const costs = {};
+  for (let offset = 1; offset <= count; offset += 1) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+    costs[dateKey(day)] = costFor(day);
+  }
+  return costs;
+}
+
+describe('forecastMonthEnd', () => {
+  // Thursday 15 October 2026, noon: half of today and 16 more days are left.
+  const now = new Date(2026, 9, 15, 12);
+
+  test('projects a steady spend without a band', () => {
+    const history = buildHistory(daysBefore(now, 28, () => 2), '2026-10', 15);
+    const forecast = forecastMonthEnd(history, now, PRICING);
+    assert.equal(forecast.monthKey, '2026-10');
+    assert.equal(forecast.method, 'weekday');
+    assert.equal(forecast.sampleDays, 28);
+    assert.equal(forecast.remainingDays, 16.5);
+    assert.ok(Math.abs(forecast.projected - (15 + 2 * 16.5)) < 1e-9);
+    assert.ok(Math.abs(forecast.low - forecast.projected) < 1e-9);
+    assert.ok(Math.abs(forecast.high - forecast.projected) < 1e-9);
+  });
+
+  test('uses weekday rates once two weeks are sampled', () => {
+    const weekdaysOnly = (day) => (day.getDay() === 0 || day.getDay() === 6 ? 0 : 3);
+    const history = buildHistory(daysBefore(now, 28, weekdaysOnly), '2026-10', 10);
+    const forecast = forecastMonthEnd(history, now, PRICING);
+    // Half of Thursday plus 11 weekdays left (16, 19-23, 26-30); weekends cost nothing.
+    assert.ok(Math.abs(forecast.projected - (10 + 0.5 * 3 + 11 * 3)) < 1e-9);
+    assert.ok(Math.abs(forecast.high - forecast.low) < 1e-9);
+  });
+
+  test('falls back to the plain average with short history', () => {
+    const costs = daysBefore(now, 5, (day) => (day.getDate() % 2 ? 4 : 0));
+    const forecast = forecastMonthEnd(buildHistory(costs, '2026-10', 8), now, PRICING);
+    assert.equal(forecast.method, 'average');
+    assert.equal(forecast.sampleDays, 5);
+    assert.ok(forecast.low < forecast.projected && forecast.projected < forecast.high);
+    assert.ok(forecast.low >= forecast.monthToDate);
+  });
+
+  test('needs pricing and history', () => {
+    assert.equal(forecastMonthEnd({ daily: {}, monthly: {} }, now, PRICING), null);
+    const history = buildHistory({ '2026-10-14': 1 }, '2026-10', 1);
+    assert.equal(forecastMonthEnd(history, now, null), null);
+  });
+});
+
+describe('computeUsageTrend', () => {
+  const now = new Date(2026, 9, 15, 12);
+
+  test('compares the last 7 days and the month to date', () => {
+    const costs = {};
+    for (let day = 1; day <= 15; day += 1) costs[dateKey(new Date(2026, 8, day))] = 1;
+    for (let day = 2; day <= 8; day += 1) costs[dateKey(new Date(2026, 9, day))] = 1;
+    for (let day = 9; day <= 15; day += 1) costs[dateKey(new Date(2026, 9, day))] = 2;
+    const trend = computeUsageTrend(buildHistory(costs, '2026-10', 21), now, PRICING);
+    assert.deepEqual(trend.weekOverWeek, { current: 14, previous: 7, changePercent: 100 });
+    assert.equal(trend.monthOverMonth.current, 21);
+    assert.equal(trend.monthOverMonth.previous, 15);
+    assert.ok(Math.abs(trend.monthOverMonth.changePercent - 40) < 1e-9);
+  });
+
+  test('leaves the change empty when the previous range predates the history', () => {
+    const costs = {};
+    for (let day = 9; day <= 15; day += 1) costs[dateKey(new Date(2026, 9, day))] = 2;
+    const trend = computeUsageTrend(buildHistory(costs, '2026-10', 14), now, PRICING);
+    assert.deepEqual(trend.weekOverWeek, { current: 14, previous: null, changePercent: null });
+    assert.equal(trend.monthOverMonth.previous, null);
+  });
+
+  test('needs pricing', () => {
+    assert.equal(computeUsageTrend({ daily: {} }, now, null), null);
+  });
+});
+
+describe('native usage', () => {
+  test('counts each message once across streamed and resumed transcripts', async () => {
+    const first = { id: 'msg-1', requestId: 'req-1' };
+    const filePath = writeTranscript('-work-native', 'session-a.jsonl', [
+      assistantEntry('native-model', 1000, first),
+      // The same message written again as it streamed.
+      assistantEntry('native-model', 1000, first),
+      assistantEntry('native-model', 2000, { id: 'msg-2', requestId: 'req-2' }),
+      assistantEntry('<synthetic>', 5000, { id: 'msg-3' }),
+    ]);
+    // A resumed session starts with a copy of the earlier messages.
+    writeTranscript('-work-native', 'session-b.jsonl', [
+      assistantEntry('native-model', 1000, first),
+      assistantEntry('native-model', 4000, { id: 'msg-4', requestId: 'req-4' }),
+    ]);
+
+    const { summary, history } = await collectHistory();
+    const today = dateKey(new Date());
+    assert.equal(history.daily[today].source, 'native');
+    assert.equal(history.daily[today].models['native-model'].input, 7000);
+    assert.equal(history.daily[today].models['<synthetic>'], undefined);
+    assert.ok(Math.abs(summary.dayModels['native-model'].cost - 0.007) < 1e-9);
+
+    // Later runs read only what was appended; a line still being written waits for the next.
+    appendFileSync(filePath, `${JSON.stringify(assistantEntry('native-model', 8000))}\n{"type":`);
+    const next = await collectHistory();
+    assert.equal(next.history.daily[today].models['native-model'].input, 15000);
+  });
+});
+
+describe('project attribution', () => {
+  test('merges usage read before the cwd into the project the folder belongs to', async () => {
+    writeTranscript('-work-shop', 'session-a.jsonl', [
+      assistantEntry('project-model', 1000, { id: 'shop-1' }),
+      assistantEntry('project-model', 2000, { id: 'shop-2', cwd: '/work/shop' }),
+    ]);
+    // Never records a cwd itself, but shares the folder.
+    writeTranscript('-work-shop', 'session-b.jsonl', [
+      assistantEntry('project-model', 4000, { id: 'shop-3' }),
+    ]);
+    writeTranscript('-work-other', 'session-c.jsonl', [
+      assistantEntry('project-model', 8000, { id: 'other-1' }),
+    ]);
+
+    const { summary, history } = await collectHistory();
+    const projects = history.daily[dateKey(new Date())].projects;
+    assert.equal(projects['-work-shop'], undefined);
+    assert.equal(projects['/work/shop']['project-model'].input, 7000);
+    assert.equal(projects['-work-other']['project-model'].input, 8000);
+    const shop = summary.monthProjects.find((row) => row.project === '/work/shop');
+    assert.ok(Math.abs(shop.cost - 0.007) < 1e-9);
+  });
+});